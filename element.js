@@ -0,0 +1,188 @@
+/**
+ * GSAP Animation Library - <gsap-animate> custom element
+ * Drives its children through the library's presets, no framework required
+ *
+ * <gsap-animate preset="rotateIn" trigger="scroll" duration="0.8" stagger="0.1">
+ *     ...
+ * </gsap-animate>
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // CommonJS
+        module.exports = factory(require('./gsap-animation-library'));
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['./gsap-animation-library'], factory);
+    } else {
+        // Browser global
+        root.GSAPAnimateElement = factory(root.GSAPAnimationLibrary);
+    }
+})(typeof window !== 'undefined' ? window : this, function (GSAPAnimationLibrary) {
+    // Allow the module to load where there is no DOM (e.g. server rendering)
+    const Base = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+    const OWN_ATTRIBUTES = ['preset', 'trigger', 'stagger'];
+
+    class GSAPAnimateElement extends Base {
+        static get observedAttributes() {
+            return [
+                ...OWN_ATTRIBUTES,
+                'duration', 'delay', 'ease', 'distance', 'intensity', 'repeat',
+                'start', 'end', 'once', 'markers'
+            ];
+        }
+
+        /**
+         * Library instance shared by every <gsap-animate>; replace it before elements connect
+         * @type {GSAPAnimationLibrary}
+         */
+        static get library() {
+            if (!GSAPAnimateElement._library) {
+                GSAPAnimateElement._library = new GSAPAnimationLibrary();
+            }
+            return GSAPAnimateElement._library;
+        }
+
+        static set library(library) {
+            GSAPAnimateElement._library = library;
+        }
+
+        constructor() {
+            super();
+            this.handle = null;
+            this._cleanup = null;
+            this._bind = this._bind.bind(this);
+        }
+
+        connectedCallback() {
+            // Children are not parsed yet when the element upgrades mid-document
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', this._bind, { once: true });
+            } else {
+                this._bind();
+            }
+        }
+
+        disconnectedCallback() {
+            document.removeEventListener('DOMContentLoaded', this._bind);
+            this._unbind();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue || !this._cleanup) return;
+            this._unbind();
+            this._bind();
+        }
+
+        /**
+         * Play the animation from the start
+         * @returns {AnimationHandle|null}
+         */
+        play() {
+            if (this.handle) {
+                this.handle.restart();
+            } else if (this._context) {
+                this._run();
+            }
+            return this.handle;
+        }
+
+        /**
+         * Play the animation backwards
+         * @returns {AnimationHandle|null}
+         */
+        reverse() {
+            if (this.handle) this.handle.reverse();
+            return this.handle;
+        }
+
+        /**
+         * Read preset and ScrollTrigger options from the observed attributes; others (title, aria-*, ...) are left alone
+         * @returns {{presetOptions: Object, triggerOptions: Object}}
+         */
+        _readOptions() {
+            const options = {};
+
+            GSAPAnimateElement.observedAttributes.forEach(name => {
+                if (OWN_ATTRIBUTES.includes(name) || !this.hasAttribute(name)) return;
+                const option = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+                options[option] = GSAPAnimationLibrary.parseOptionValue(this.getAttribute(name));
+            });
+
+            return GSAPAnimationLibrary.splitScrollOptions(options);
+        }
+
+        /**
+         * Create the animation for the current attributes
+         * @returns {AnimationHandle}
+         */
+        _run() {
+            const lib = GSAPAnimateElement.library;
+            const preset = this.getAttribute('preset') || 'fadeIn';
+            const { presetOptions } = this._readOptions();
+            const targets = this.children.length ? Array.from(this.children) : this;
+
+            const options = {
+                ...presetOptions,
+                onStart: () => this._emit('start'),
+                onComplete: () => this._emit('complete')
+            };
+
+            this._context.add(() => {
+                this.handle = this.hasAttribute('stagger')
+                    ? lib.stagger(preset, targets, { ...options, stagger: GSAPAnimationLibrary.parseOptionValue(this.getAttribute('stagger')) })
+                    : lib.play(preset, targets, options);
+            });
+            return this.handle;
+        }
+
+        /**
+         * Bind the animation to its trigger
+         */
+        _bind() {
+            if (!this.isConnected || this._cleanup) return;
+            const lib = GSAPAnimateElement.library;
+            const { triggerOptions } = this._readOptions();
+
+            this._context = lib.context(this);
+            const unbind = lib.bindTrigger(this, this.getAttribute('trigger') || 'load', () => this._run(), triggerOptions);
+
+            this._cleanup = () => {
+                unbind();
+                this._context.revert();
+                this._context = null;
+                this.handle = null;
+            };
+        }
+
+        /**
+         * Kill the animation and restore the children's styles
+         */
+        _unbind() {
+            if (!this._cleanup) return;
+            this._cleanup();
+            this._cleanup = null;
+        }
+
+        /**
+         * Dispatch a gsap-animate:<type> event
+         * @param {string} type - 'start' or 'complete'
+         */
+        _emit(type) {
+            this.dispatchEvent(new CustomEvent(`gsap-animate:${type}`, {
+                bubbles: true,
+                detail: { preset: this.getAttribute('preset') || 'fadeIn', handle: this.handle }
+            }));
+        }
+    }
+
+    if (typeof customElements !== 'undefined' && !customElements.get('gsap-animate')) {
+        customElements.define('gsap-animate', GSAPAnimateElement);
+    }
+
+    return GSAPAnimateElement;
+});
@@ -59,24 +59,15 @@ function Example3_ScrollAnimations() {
   const gsapLib = new GSAPAnimationLibrary();
   const cards = document.querySelectorAll('.card');
   
+  const presets = ['slideUp', 'scaleUp', 'rotateIn'];
+  
   cards.forEach((card, index) => {
-    gsapLib.scrollTrigger(
-      card,
-      () => {
-        const animations = [
-          () => gsapLib.slideUp(card, { duration: 0.8 }),
-          () => gsapLib.scaleUp(card, { duration: 0.8 }),
-          () => gsapLib.rotateIn(card, { duration: 0.8 })
-        ];
-        
-        // Use different animation for each card
-        animations[index % 3]();
-      },
-      {
-        start: 'top 85%',
-        once: true // Only animate once
-      }
-    );
+    // Use different animation for each card
+    gsapLib.scrollTrigger(card, presets[index % 3], {
+      start: 'top 85%',
+      once: true, // Only animate once
+      presetOptions: { duration: 0.8 }
+    });
   });
 }
 
@@ -120,7 +111,8 @@ function Example5_ImageGallery() {
   let currentIndex = 0;
   
   function showImage(index) {
-    const tl = gsapLib.createTimeline('gallery');
+    // Replaces (and kills) the previous 'gallery' timeline on every click
+    const tl = gsapLib.createTimeline('gallery', { ifExists: 'kill' });
     
     // Hide current image
     tl.to(images[currentIndex], {
@@ -164,45 +156,16 @@ function Example6_ModalAnimation() {
   const openButton = document.querySelector('.open-modal');
   const closeButton = document.querySelector('.close-modal');
   
+  // show()/hide() manage display, aria-hidden and inert, and a quick
+  // open-close-open picks up from wherever the last animation got to
   function openModal() {
-    modal.style.display = 'block';
-    overlay.style.display = 'block';
-    
-    const tl = gsapLib.createTimeline('modal');
-    
-    tl.to(overlay, {
-      opacity: 1,
-      duration: 0.3
-    })
-    .add(() => {
-      gsapLib.scaleUp(modal, {
-        duration: 0.5,
-        ease: 'back.out(1.7)'
-      });
-    });
-    
-    gsapLib.playTimeline('modal');
+    gsapLib.show(overlay, 'fadeIn', { duration: 0.3 });
+    gsapLib.show(modal, 'scaleUp', { duration: 0.5, delay: 0.2 });
   }
   
   function closeModal() {
-    const tl = gsapLib.createTimeline('modalClose');
-    
-    tl.add(() => {
-      gsapLib.scaleDown(modal, {
-        duration: 0.3,
-        ease: 'power2.in'
-      });
-    })
-    .to(overlay, {
-      opacity: 0,
-      duration: 0.3,
-      onComplete: () => {
-        modal.style.display = 'none';
-        overlay.style.display = 'none';
-      }
-    });
-    
-    gsapLib.playTimeline('modalClose');
+    gsapLib.hide(modal, 'scaleDown', { duration: 0.3 });
+    gsapLib.hide(overlay, 'fadeOut', { duration: 0.3, delay: 0.1 });
   }
   
   openButton.addEventListener('click', openModal);
@@ -274,17 +237,14 @@ function Example8_LoadingSpinner() {
   
   // Simulate loading
   setTimeout(() => {
-    // Fade out spinner
-    gsapLib.fadeOut(spinner, {
+    // Fade out spinner; hide() takes it out of the layout when done
+    gsapLib.hide(spinner, 'fadeOut', {
       duration: 0.5,
-      onComplete: () => {
-        spinner.style.display = 'none';
-        gsapLib.pauseTimeline('spinner');
-      }
+      onComplete: () => gsapLib.pauseTimeline('spinner')
     });
     
     // Fade in content
-    gsapLib.fadeIn(content, {
+    gsapLib.show(content, 'fadeIn', {
       duration: 0.8,
       delay: 0.3
     });
@@ -297,25 +257,15 @@ function Example8_LoadingSpinner() {
 
 function Example9_ParallaxScroll() {
   const gsapLib = new GSAPAnimationLibrary();
-  const parallaxElements = document.querySelectorAll('.parallax');
   
-  parallaxElements.forEach(element => {
-    const speed = element.dataset.speed || 0.5;
-    
-    gsapLib.scrollTrigger(
-      element,
-      () => {
-        gsap.to(element, {
-          y: -window.scrollY * speed,
-          ease: 'none'
-        });
-      },
-      {
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true // Smooth scrubbing
-      }
-    );
+  // Each element's data-speed sets how fast it moves relative to the page
+  gsapLib.parallax('.parallax', { speed: 0.5 });
+  
+  // Scrub a preset with the scrollbar
+  gsapLib.scrub('scaleUp', '.parallax-title', {
+    start: 'top bottom',
+    end: 'center center',
+    smooth: 0.5
   });
 }
 
@@ -327,27 +277,13 @@ function Example10_CounterAnimation() {
   const gsapLib = new GSAPAnimationLibrary();
   const counters = document.querySelectorAll('.counter');
   
+  // Each counter reads its data-target; formatting follows the user's locale
   counters.forEach(counter => {
-    const target = parseInt(counter.dataset.target);
-    
-    gsapLib.scrollTrigger(
-      counter,
-      () => {
-        gsap.to(counter, {
-          innerText: target,
-          duration: 2,
-          ease: 'power2.out',
-          snap: { innerText: 1 }, // Snap to integers
-          onUpdate: function() {
-            counter.innerText = Math.ceil(this.targets()[0].innerText);
-          }
-        });
-      },
-      {
-        start: 'top 80%',
-        once: true
-      }
-    );
+    gsapLib.scrollTrigger(counter, 'countUp', {
+      start: 'top 80%',
+      once: true,
+      presetOptions: { duration: 2 }
+    });
   });
 }
 
@@ -399,19 +335,18 @@ function Example11_NavbarScroll() {
 function Example12_TypingEffect() {
   const gsapLib = new GSAPAnimationLibrary();
   const text = document.querySelector('.typing-text');
-  const originalText = text.textContent;
   
-  text.textContent = '';
+  // Markup inside the text (links, <strong>, ...) is kept; screen readers get the full text
+  gsapLib.typewriter(text, { speed: 0.05 });
   
-  const tl = gsapLib.createTimeline('typing');
-  
-  originalText.split('').forEach((char, index) => {
-    tl.add(() => {
-      text.textContent += char;
-    }, index * 0.05); // 50ms per character
+  // Or reveal word by word with any preset, restoring the original DOM afterwards
+  gsapLib.splitReveal('.headline', {
+    split: 'words',
+    preset: 'slideUp',
+    distance: 20,
+    stagger: 0.05,
+    revert: true
   });
-  
-  gsapLib.playTimeline('typing');
 }
 
 // ============================================================
@@ -420,29 +355,22 @@ function Example12_TypingEffect() {
 
 function Example13_HoverCards() {
   const gsapLib = new GSAPAnimationLibrary();
-  const cards = document.querySelectorAll('.hover-card');
-  
-  cards.forEach(card => {
-    card.addEventListener('mouseenter', () => {
-      gsapLib.animate(card, {
-        y: -10,
-        scale: 1.05,
-        boxShadow: '0 20px 40px rgba(0,0,0,0.2)',
-        duration: 0.3,
-        ease: 'power2.out'
-      });
-    });
-    
-    card.addEventListener('mouseleave', () => {
-      gsapLib.animate(card, {
-        y: 0,
-        scale: 1,
-        boxShadow: '0 5px 15px rgba(0,0,0,0.1)',
-        duration: 0.3,
-        ease: 'power2.out'
-      });
-    });
-  });
+  
+  // One reversible tween per card: plays on hover or keyboard focus, reverses on leave
+  const unbindHover = gsapLib.hover('.hover-card', {
+    y: -10,
+    scale: 1.05,
+    boxShadow: '0 20px 40px rgba(0,0,0,0.2)'
+  }, { duration: 0.3 });
+  
+  // Buttons shrink slightly while pressed (pointer, touch, Enter or Space)
+  const unbindPress = gsapLib.press('.hover-card button', { scale: 0.95 });
+  
+  // Call to remove the listeners, e.g. when the cards are removed
+  return () => {
+    unbindHover();
+    unbindPress();
+  };
 }
 
 // ============================================================
@@ -462,15 +390,12 @@ function Example14_ProgressBar() {
       duration: 1,
       ease: 'power2.out'
     })
-    .to(progressText, {
-      innerText: percentage,
+    .add(gsapLib.countUp(progressText, {
+      to: percentage,
+      suffix: '%',
       duration: 1,
-      ease: 'none',
-      snap: { innerText: 1 },
-      onUpdate: function() {
-        progressText.innerText = Math.ceil(this.targets()[0].innerText) + '%';
-      }
-    }, 0); // Start at the same time as width animation
+      ease: 'none'
+    }).animation, 0); // Start at the same time as width animation
     
     gsapLib.playTimeline('progress');
   }
@@ -495,16 +420,12 @@ function Example15_AnimatedTabs() {
       if (index === currentTab) return;
       
       // Hide current content
-      gsapLib.fadeOut(tabContents[currentTab], {
-        duration: 0.3,
-        onComplete: () => {
-          tabContents[currentTab].style.display = 'none';
-        }
+      gsapLib.hide(tabContents[currentTab], 'fadeOut', {
+        duration: 0.3
       });
       
       // Show new content
-      tabContents[index].style.display = 'block';
-      gsapLib.slideUp(tabContents[index], {
+      gsapLib.show(tabContents[index], 'slideUp', {
         duration: 0.5,
         ease: 'power2.out',
         distance: 30
@@ -520,43 +441,55 @@ function Example15_AnimatedTabs() {
 // ============================================================
 
 // Example React Component using the library
+const gsapLib = new GSAPAnimationLibrary();
+
 const ReactExample = () => {
   const { useRef, useEffect } = React;
   
+  const rootRef = useRef(null);
   const heroRef = useRef(null);
   const cardsRef = useRef([]);
-  const gsapLib = useRef(new GSAPAnimationLibrary());
+  const ctxRef = useRef(null);
   
   useEffect(() => {
-    // Animate hero on mount
-    gsapLib.current.fadeIn(heroRef.current, {
-      duration: 1.5,
-      ease: 'power2.out'
+    // Record this component's animations so unmounting only cleans up its own
+    const ctx = gsapLib.context(rootRef.current, () => {
+      // Animate hero on mount
+      gsapLib.fadeIn(heroRef.current, {
+        duration: 1.5,
+        ease: 'power2.out'
+      });
     });
+    ctxRef.current = ctx;
     
     // Stagger animate cards
-    setTimeout(() => {
-      gsapLib.current.staggerSlideUp(cardsRef.current, {
-        duration: 0.8,
-        stagger: 0.2,
-        ease: 'back.out(1.7)'
+    const timer = setTimeout(() => {
+      ctx.add(() => {
+        gsapLib.staggerSlideUp(cardsRef.current, {
+          duration: 0.8,
+          stagger: 0.2,
+          ease: 'back.out(1.7)'
+        });
       });
     }, 500);
     
     // Cleanup
     return () => {
-      gsapLib.current.killAll();
+      clearTimeout(timer);
+      ctx.revert();
     };
   }, []);
   
   const handleCardClick = (index) => {
-    gsapLib.current.pulse(cardsRef.current[index], {
-      repeat: 2
+    ctxRef.current.add(() => {
+      gsapLib.pulse(cardsRef.current[index], {
+        repeat: 2
+      });
     });
   };
   
   return (
-    <div>
+    <div ref={rootRef}>
       <h1 ref={heroRef}>Welcome to My Site</h1>
       <div className="cards">
         {[1, 2, 3].map((num, index) => (
@@ -583,7 +516,7 @@ const ReactExample = () => {
    - Use `will-change` CSS property for animated elements
    - Avoid animating width/height (use scale instead)
    - Use transform properties (x, y, scale, rotation) for best performance
-   - Clean up animations on component unmount
+   - Clean up animations on component unmount (gsapLib.context() + revert())
 
 2. TIMING TIPS:
    - Default duration (1s) works for most cases
@@ -599,7 +532,8 @@ const ReactExample = () => {
    - Use 'none' for linear animations (progress bars, etc.)
 
 4. ACCESSIBILITY:
-   - Respect prefers-reduced-motion media query
+   - Respect prefers-reduced-motion media query (presets do this for you;
+     pass `essential: true` for motion that must always play)
    - Provide alternatives for critical functionality
    - Don't rely solely on animation to convey information
 
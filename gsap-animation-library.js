@@ -9,385 +9,3615 @@
  */
 
 class GSAPAnimationLibrary {
-    constructor() {
+    /**
+     * @param {Object} options - Library options
+     * @param {string|boolean} options.reducedMotion - 'auto' follows prefers-reduced-motion, true/false forces it
+     * @param {Object} [options.defaults] - Instance defaults (duration, ease, delay, stagger, distance, intensity)
+     * @param {Object} [options.tokens] - Named values: { durations, eases, distances }, merged over the built-in tokens
+     * @param {Object} [options.presetDefaults] - Default options per preset, e.g. { slideUp: { distance: 'sm' } }
+     * @param {boolean|string} [options.debug] - true logs diagnostics for bad arguments, 'strict' throws them
+     * @param {HTMLElement|string} [options.scope] - Root that selector strings are resolved in (defaults to document)
+     */
+    constructor(options = {}) {
         // Check if GSAP is available
         if (typeof gsap === 'undefined') {
             throw new Error('GSAP is required. Please install gsap: npm install gsap');
         }
 
+        this.options = { reducedMotion: 'auto', ...options };
+        this.defaults = { ...GSAPAnimationLibrary.defaults, ...options.defaults };
+        this.tokens = {};
+        Object.keys(GSAPAnimationLibrary.tokens).forEach(group => {
+            this.tokens[group] = { ...GSAPAnimationLibrary.tokens[group], ...(options.tokens && options.tokens[group]) };
+        });
+        this.presetDefaults = { ...options.presetDefaults };
+        this.debug = options.debug || false;
         this.activeAnimations = new Set();
         this.timelines = new Map();
-        
+        this.scrollTriggers = new Set();
+        this.presets = new Map();
+        this.reducedMotion = false;
+        this._pausedForMotion = new Set();
+        this._essentialTimelines = new WeakSet();
+        this._autoInits = new Set();
+        this._handles = new WeakMap();
+        this._releasedTargets = new WeakMap();
+        this._splits = new WeakMap();
+        this._timelineListeners = new Map();
+        this._sequenceSteps = new WeakMap();
+        this._visibility = new WeakMap();
+        this._context = null;
+
+        // Each instance gets its own copy of the built-in presets
+        Object.keys(GSAPAnimationLibrary.builtInPresets).forEach(name => {
+            this.registerPreset(name, GSAPAnimationLibrary.builtInPresets[name]);
+        });
+
         // Register ScrollTrigger plugin if available
         if (typeof ScrollTrigger !== 'undefined') {
             gsap.registerPlugin(ScrollTrigger);
         }
+
+        this.setReducedMotion(this.options.reducedMotion);
+    }
+
+    /**
+     * Set the reduced-motion policy
+     * @param {string|boolean} mode - 'auto' follows the OS setting live, true/false forces it
+     */
+    setReducedMotion(mode = 'auto') {
+        if (this._motionQuery) {
+            if (this._motionQuery.removeEventListener) {
+                this._motionQuery.removeEventListener('change', this._onMotionChange);
+            } else {
+                this._motionQuery.removeListener(this._onMotionChange);
+            }
+            this._motionQuery = null;
+        }
+
+        this.options.reducedMotion = mode;
+
+        if (mode !== 'auto') {
+            this._applyReducedMotion(Boolean(mode));
+            return;
+        }
+
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+            this._applyReducedMotion(false);
+            return;
+        }
+
+        this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this._onMotionChange = event => this._applyReducedMotion(event.matches);
+        if (this._motionQuery.addEventListener) {
+            this._motionQuery.addEventListener('change', this._onMotionChange);
+        } else {
+            this._motionQuery.addListener(this._onMotionChange);
+        }
+        this._applyReducedMotion(this._motionQuery.matches);
+    }
+
+    /**
+     * Check whether presets are currently reducing motion
+     * @returns {boolean}
+     */
+    isReducedMotion() {
+        return this.reducedMotion;
+    }
+
+    /**
+     * Turn argument checks on or off
+     * @param {boolean|string} mode - true logs diagnostics to the console, 'strict' throws them, false turns checks off
+     */
+    setDebug(mode = true) {
+        this.debug = mode;
+    }
+
+    /**
+     * Switch reduced motion on or off, pausing or resuming infinite loops
+     * @param {boolean} enabled - Whether motion should be reduced
+     */
+    _applyReducedMotion(enabled) {
+        if (enabled === this.reducedMotion) return;
+        this.reducedMotion = enabled;
+
+        if (!enabled) {
+            this._pausedForMotion.forEach(animation => animation.resume());
+            this._pausedForMotion.clear();
+            return;
+        }
+
+        [...this.activeAnimations, ...this.timelines.values()].forEach(animation => {
+            if (this._isBlockedLoop(animation) && !animation.paused()) {
+                animation.pause();
+                this._pausedForMotion.add(animation);
+            }
+        });
+    }
+
+    /**
+     * Check whether an animation is an infinite loop that reduced motion should hold
+     * @param {gsap.core.Animation} animation - Tween or timeline
+     * @returns {boolean}
+     */
+    _isBlockedLoop(animation) {
+        return this.reducedMotion
+            && animation.repeat() === -1
+            && !this._essentialTimelines.has(animation);
     }
 
     /**
      * Base animation method
-     * @param {HTMLElement} element - The element to animate
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
      * @param {Object} properties - Animation properties
      * @param {Object} options - Animation options (duration, ease, delay, etc.)
-     * @returns {gsap.core.Tween} - GSAP animation instance
+     * @returns {AnimationHandle} - Awaitable handle for the GSAP animation
      */
     animate(element, properties, options = {}) {
         const defaults = {
-            duration: 1,
-            ease: 'power2.out',
-            delay: 0,
+            duration: this.defaults.duration,
+            ease: this.defaults.ease,
+            delay: this.defaults.delay,
             onComplete: null,
             onStart: null,
         };
 
-        const config = { ...defaults, ...options, ...properties };
+        const { scope, ...config } = this.resolveTokens({ ...defaults, ...options, ...properties });
         
         if (options.onStart) config.onStart = options.onStart;
         if (options.onComplete) config.onComplete = options.onComplete;
 
-        const animation = gsap.to(element, config);
-        this.activeAnimations.add(animation);
-        
-        return animation;
+        const targets = this._resolveTargets(element, scope);
+        this._recordStyles(targets);
+        return this._track(gsap.to(targets, config));
     }
 
     /**
-     * Fade in animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Replace token names in options with their values, e.g. { duration: 'fast', ease: 'exit' }
+     * @param {Object} options - Options that may use token names
+     * @returns {Object} - A copy with tokens resolved; values that aren't token names are kept as they are
      */
-    fadeIn(element, options = {}) {
-        gsap.set(element, { opacity: 0 });
-        return this.animate(element, { opacity: 1 }, options);
+    resolveTokens(options) {
+        const resolved = { ...options };
+        const lookup = (group, value) => (typeof value === 'string'
+            && Object.prototype.hasOwnProperty.call(this.tokens[group], value)
+            ? this.tokens[group][value]
+            : value);
+
+        GSAPAnimationLibrary.tokenOptions.durations.forEach(key => {
+            if (key in resolved) resolved[key] = lookup('durations', resolved[key]);
+        });
+        if (resolved.stagger && typeof resolved.stagger === 'object' && 'each' in resolved.stagger) {
+            resolved.stagger = { ...resolved.stagger, each: lookup('durations', resolved.stagger.each) };
+        }
+        GSAPAnimationLibrary.tokenOptions.eases.forEach(key => {
+            if (key in resolved) resolved[key] = lookup('eases', resolved[key]);
+        });
+        GSAPAnimationLibrary.tokenOptions.distances.forEach(key => {
+            if (key in resolved) resolved[key] = lookup('distances', resolved[key]);
+        });
+
+        return resolved;
     }
 
     /**
-     * Fade out animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Merge a preset's options: instance defaults, then the preset's defaults,
+     * then presetDefaults for it, then the call's options, with tokens resolved
+     * @param {string} name - Preset name
+     * @param {Object} preset - Preset definition
+     * @param {Object} options - Options passed to the call
+     * @returns {Object}
      */
-    fadeOut(element, options = {}) {
-        return this.animate(element, { opacity: 0 }, options);
+    _presetConfig(name, preset, options = {}) {
+        const base = { duration: this.defaults.duration, ease: this.defaults.ease, delay: this.defaults.delay };
+
+        // Instance-wide values for preset params (distance, intensity) only go to presets that take them
+        preset.params.forEach(param => {
+            if (this.defaults[param] !== undefined) base[param] = this.defaults[param];
+        });
+
+        return this.resolveTokens({ ...base, ...preset.defaults, ...this.presetDefaults[name], ...options });
     }
 
     /**
-     * Slide up animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (distance: number of pixels)
+     * Set properties immediately, without animating
+     * @param {HTMLElement|Array|NodeList|string} element - Element(s) to set
+     * @param {Object} properties - Properties to set (scope: root for selector strings)
      * @returns {gsap.core.Tween}
      */
-    slideUp(element, options = {}) {
-        const distance = options.distance || 100;
-        gsap.set(element, { y: distance, opacity: 0 });
-        return this.animate(element, { y: 0, opacity: 1 }, options);
+    set(element, properties = {}) {
+        const { scope, ...vars } = properties;
+        const targets = this._resolveTargets(element, scope);
+        this._recordStyles(targets);
+        return gsap.set(targets, vars);
     }
 
     /**
-     * Slide down animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (distance: number of pixels)
-     * @returns {gsap.core.Tween}
+     * Create a context that records everything made inside it, for mount/unmount cleanup
+     * @param {HTMLElement|string} root - Root element (or a selector for it); selector strings are resolved inside it
+     * @param {Function} [fn] - Runs inside the context straight away
+     * @returns {AnimationContext}
      */
-    slideDown(element, options = {}) {
-        const distance = options.distance || 100;
-        gsap.set(element, { y: -distance, opacity: 0 });
-        return this.animate(element, { y: 0, opacity: 1 }, options);
+    context(root, fn) {
+        const context = new AnimationContext(this, root);
+        if (fn) context.add(fn);
+        return context;
     }
 
     /**
-     * Slide from left animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (distance: number of pixels)
-     * @returns {gsap.core.Tween}
+     * Run a function with a context active
+     * @param {AnimationContext} context - Context to record into
+     * @param {Function} fn - Function to run
+     * @returns {*} - The function's return value
      */
-    slideLeft(element, options = {}) {
-        const distance = options.distance || 100;
-        gsap.set(element, { x: distance, opacity: 0 });
-        return this.animate(element, { x: 0, opacity: 1 }, options);
+    _runInContext(context, fn) {
+        const previous = this._context;
+        this._context = context;
+        try {
+            return fn(context);
+        } finally {
+            this._context = previous;
+        }
     }
 
     /**
-     * Slide from right animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (distance: number of pixels)
-     * @returns {gsap.core.Tween}
+     * Resolve targets to a flat array of the elements they stand for
+     * @param {HTMLElement|string|NodeList|Array|Object} targets - Element, selector string, NodeList,
+     *   array (may mix all of these) or jQuery-like collection; other objects are kept as GSAP targets
+     * @param {HTMLElement|string} [scope] - Root for selector strings; defaults to the active context's root,
+     *   then the instance scope, then the document
+     * @returns {Array} - Each target once
      */
-    slideRight(element, options = {}) {
-        const distance = options.distance || 100;
-        gsap.set(element, { x: -distance, opacity: 0 });
-        return this.animate(element, { x: 0, opacity: 1 }, options);
+    _resolveTargets(targets, scope) {
+        const root = this._scopeRoot(scope);
+        const resolved = [];
+        const unmatched = [];
+
+        const add = value => {
+            if (value === null || value === undefined) return;
+            if (typeof value === 'string') {
+                const matches = root ? Array.from(root.querySelectorAll(value)) : [];
+                if (!matches.length) unmatched.push(value);
+                resolved.push(...matches);
+            } else if (this._isCollection(value)) {
+                // An empty result of an earlier call still names its selectors
+                if (!value.length && Object.prototype.hasOwnProperty.call(value, 'toString')) unmatched.push(String(value));
+                Array.from(value).forEach(add);
+            } else {
+                resolved.push(value);
+            }
+        };
+
+        add(targets);
+        const unique = [...new Set(resolved)];
+
+        // GSAP's "target not found" warning prints the targets, so let it name the selectors that matched nothing
+        if (!unique.length && unmatched.length) {
+            Object.defineProperty(unique, 'toString', { value: () => unmatched.join(', ') });
+        }
+        return unique;
     }
 
     /**
-     * Scale up animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Resolve targets and keep the first, for methods that need one element (triggers, containers)
+     * @param {HTMLElement|string|NodeList|Array} target - Target(s) to resolve
+     * @param {HTMLElement|string} [scope] - Root for selector strings
+     * @returns {HTMLElement|undefined}
      */
-    scaleUp(element, options = {}) {
-        gsap.set(element, { scale: 0, opacity: 0 });
-        return this.animate(element, { scale: 1, opacity: 1 }, { ease: 'back.out(1.7)', ...options });
+    _resolveTarget(target, scope) {
+        return this._resolveTargets(target, scope)[0];
     }
 
     /**
-     * Scale down animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Get the element selector strings are resolved in
+     * @param {HTMLElement|string} [scope] - Root passed to the call
+     * @returns {HTMLElement|Document|null} - null when the scope matches nothing
      */
-    scaleDown(element, options = {}) {
-        return this.animate(element, { scale: 0, opacity: 0 }, { ease: 'back.in(1.7)', ...options });
+    _scopeRoot(scope) {
+        let root = scope ?? (this._context && this._context.root) ?? this.options.scope;
+        if (root === null || root === undefined) {
+            return typeof document !== 'undefined' ? document : null;
+        }
+        if (typeof root === 'string') root = document.querySelector(root);
+        if (root && this._isCollection(root)) root = root[0];
+        return root || null;
     }
 
     /**
-     * Rotate in animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Check whether a value is a list of targets: an array, NodeList, HTMLCollection or jQuery-like object
+     * @param {*} value - Value to check
+     * @returns {boolean}
      */
-    rotateIn(element, options = {}) {
-        gsap.set(element, { rotation: -180, scale: 0, opacity: 0 });
-        return this.animate(element, { rotation: 0, scale: 1, opacity: 1 }, { ease: 'back.out(1.7)', ...options });
+    _isCollection(value) {
+        return Array.isArray(value) || (typeof value === 'object'
+            && typeof value.length === 'number'
+            && !value.nodeType
+            && (typeof window === 'undefined' || value !== window));
     }
 
     /**
-     * Rotate out animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Remember inline styles before the active context first touches them
+     * @param {HTMLElement|Array|NodeList|string} targets - Targets about to change
      */
-    rotateOut(element, options = {}) {
-        return this.animate(element, { rotation: 180, scale: 0, opacity: 0 }, { ease: 'back.in(1.7)', ...options });
+    _recordStyles(targets) {
+        if (!this._context) return;
+        gsap.utils.toArray(targets).forEach(target => {
+            this._context._recordStyle(target);
+        });
     }
 
     /**
-     * Bounce in animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Start tracking an animation and wrap it in its handle
+     * @param {gsap.core.Tween|gsap.core.Timeline} animation - GSAP animation
+     * @returns {AnimationHandle}
      */
-    bounceIn(element, options = {}) {
-        gsap.set(element, { y: -100, opacity: 0 });
-        return this.animate(element, { y: 0, opacity: 1 }, { ease: 'bounce.out', duration: 1.5, ...options });
+    _track(animation) {
+        this.activeAnimations.add(animation);
+        if (this._context) this._context.animations.add(animation);
+        return this._handleFor(animation, {
+            // Finished animations drop out; replaying a handle tracks it again
+            onSettle: () => this.activeAnimations.delete(animation),
+            onRun: () => this.activeAnimations.add(animation)
+        });
     }
 
     /**
-     * Elastic animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Get the handle for an animation, creating it on first use
+     * @param {gsap.core.Tween|gsap.core.Timeline} animation - GSAP animation
+     * @param {Object} hooks - Handle hooks (onSettle, onRun) used on creation
+     * @returns {AnimationHandle}
      */
-    elastic(element, options = {}) {
-        gsap.set(element, { scale: 0, opacity: 0 });
-        return this.animate(element, { scale: 1, opacity: 1 }, { ease: 'elastic.out(1, 0.5)', duration: 1.5, ...options });
+    _handleFor(animation, hooks = {}) {
+        if (!this._handles.has(animation)) {
+            this._handles.set(animation, new AnimationHandle(animation, hooks));
+        }
+        return this._handles.get(animation);
     }
 
     /**
-     * Flip animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options
-     * @returns {gsap.core.Tween}
+     * Start tracking a ScrollTrigger created by this instance
+     * @param {ScrollTrigger} trigger - ScrollTrigger instance
+     * @returns {ScrollTrigger}
      */
-    flip(element, options = {}) {
-        return this.animate(element, { rotationY: 360 }, { duration: 1, ...options });
+    _trackScrollTrigger(trigger) {
+        this.scrollTriggers.add(trigger);
+        if (this._context) this._context.scrollTriggers.add(trigger);
+        const kill = trigger.kill;
+        trigger.kill = (...args) => {
+            this.scrollTriggers.delete(trigger);
+            return kill.apply(trigger, args);
+        };
+        return trigger;
     }
 
     /**
-     * Shake animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (intensity: number of pixels)
-     * @returns {gsap.core.Timeline}
+     * Get every element an animation targets, including timeline children
+     * @param {gsap.core.Tween|gsap.core.Timeline} animation - GSAP animation
+     * @returns {Array}
      */
-    shake(element, options = {}) {
-        const tl = gsap.timeline();
-        const intensity = options.intensity || 10;
-        
-        tl.to(element, { x: -intensity, duration: 0.1 })
-          .to(element, { x: intensity, duration: 0.1 })
-          .to(element, { x: -intensity, duration: 0.1 })
-          .to(element, { x: intensity, duration: 0.1 })
-          .to(element, { x: 0, duration: 0.1 });
-        
-        return tl;
+    _targetsOf(animation) {
+        const released = this._releasedTargets.get(animation);
+        const tweens = typeof animation.getChildren === 'function'
+            ? animation.getChildren(true, true, false)
+            : [animation];
+        const targets = [];
+
+        tweens.forEach(tween => {
+            tween.targets().forEach(target => {
+                if (targets.includes(target) || (released && released.has(target))) return;
+                targets.push(target);
+            });
+        });
+        return targets;
     }
 
     /**
-     * Pulse animation
-     * @param {HTMLElement} element - Element to animate
-     * @param {Object} options - Animation options (repeat: number of repetitions)
-     * @returns {gsap.core.Timeline}
+     * Attach option callbacks that a built animation did not set itself
+     * @param {gsap.core.Animation} animation - Built tween or timeline
+     * @param {Object} config - Merged animation options
      */
-    pulse(element, options = {}) {
-        const tl = gsap.timeline({ repeat: options.repeat || 2 });
-        tl.to(element, { scale: 1.1, duration: 0.3 })
-          .to(element, { scale: 1, duration: 0.3 });
-        return tl;
+    _applyCallbacks(animation, config) {
+        GSAPAnimationLibrary.callbackOptions.forEach(type => {
+            if (config[type] && !animation.vars[type]) {
+                animation.eventCallback(type, config[type], config[`${type}Params`]);
+            }
+        });
     }
 
     /**
-     * Stagger fade in animation for multiple elements
-     * @param {Array|NodeList} elements - Elements to animate
-     * @param {Object} options - Animation options (stagger: delay between elements)
-     * @returns {gsap.core.Tween}
+     * Get a registered preset, or throw naming the closest registered one
+     * @param {string} name - Preset name
+     * @returns {Object} - Preset definition
      */
-    staggerFadeIn(elements, options = {}) {
-        gsap.set(elements, { opacity: 0 });
-        return gsap.to(elements, {
-            opacity: 1,
-            duration: options.duration || 1,
-            stagger: options.stagger || 0.2,
-            ease: options.ease || 'power2.out',
-            delay: options.delay || 0
-        });
+    _requirePreset(name) {
+        const preset = this.presets.get(name);
+        if (!preset) {
+            throw new Error(`Unknown preset "${name}". Register it with registerPreset() first.`
+                + this._suggest(String(name), this.listPresets()));
+        }
+        return preset;
     }
 
     /**
-     * Stagger slide up animation for multiple elements
-     * @param {Array|NodeList} elements - Elements to animate
-     * @param {Object} options - Animation options (stagger: delay, distance: pixels)
-     * @returns {gsap.core.Tween}
+     * Debug mode: check a preset call's targets and options
+     * @param {string} label - Call shown in the diagnostic, e.g. 'slideUp(".card")'
+     * @param {string} name - Preset name
+     * @param {HTMLElement|Array|NodeList|string} targets - Targets as passed to the call
+     * @param {Object} options - Options as passed to the call
      */
-    staggerSlideUp(elements, options = {}) {
-        const distance = options.distance || 50;
-        gsap.set(elements, { y: distance, opacity: 0 });
-        return gsap.to(elements, {
-            y: 0,
-            opacity: 1,
-            duration: options.duration || 1,
-            stagger: options.stagger || 0.2,
-            ease: options.ease || 'power2.out',
-            delay: options.delay || 0
-        });
+    _checkPresetCall(label, name, targets, options = {}) {
+        const preset = this.presets.get(name);
+        const params = preset ? [...preset.params, ...Object.keys(preset.defaults)] : [];
+        this._report(label, [
+            ...this._checkTargets(targets, options.scope),
+            ...this._checkOptions(options, params)
+        ]);
     }
 
     /**
-     * Stagger scale animation for multiple elements
-     * @param {Array|NodeList} elements - Elements to animate
-     * @param {Object} options - Animation options (stagger: delay between elements)
-     * @returns {gsap.core.Tween}
+     * Find targets that can't be animated: missing, empty lists, or selectors that match nothing
+     * @param {HTMLElement|Array|NodeList|string} targets - Targets as passed to a call
+     * @param {HTMLElement|string} [scope] - Scope passed to the call
+     * @returns {string[]} - Problems found
      */
-    staggerScale(elements, options = {}) {
-        gsap.set(elements, { scale: 0, opacity: 0 });
-        return gsap.to(elements, {
-            scale: 1,
-            opacity: 1,
-            duration: options.duration || 1,
-            stagger: options.stagger || 0.2,
-            ease: options.ease || 'back.out(1.7)',
-            delay: options.delay || 0
-        });
+    _checkTargets(targets, scope) {
+        if (targets === null || targets === undefined) {
+            return [`Target is ${targets}; pass an element, a selector string or a list of elements.`];
+        }
+
+        const root = this._scopeRoot(scope);
+        if (!root) return [`Scope ${this._describeTargets(scope)} matched no element, so no selector can match.`];
+        const where = typeof document !== 'undefined' && root !== document ? ' inside the scope root' : '';
+
+        if (typeof targets === 'string') {
+            try {
+                if (this._resolveTargets(targets, scope).length) return [];
+            } catch (error) {
+                return [`Selector "${targets}" is not a valid CSS selector.`];
+            }
+            return [`Selector "${targets}" matched no elements${where}.`];
+        }
+        if (this._isCollection(targets)) {
+            const kind = typeof NodeList !== 'undefined' && targets instanceof NodeList ? 'NodeList' : 'list';
+            if (!targets.length) return [`Target is an empty ${kind}, so nothing will animate.`];
+            if (Array.from(targets).some(target => target === null || target === undefined)) {
+                return [`Target ${kind} contains null or undefined entries.`];
+            }
+            if (!this._resolveTargets(targets, scope).length) {
+                return [`No selector in the target ${kind} matched an element${where}.`];
+            }
+        }
+        return [];
     }
 
     /**
-     * Create a GSAP timeline
-     * @param {string} name - Timeline name for reference
-     * @param {Object} options - Timeline options
-     * @returns {gsap.core.Timeline}
+     * Find misspelled options and values that aren't numbers, eases or token names
+     * @param {Object} options - Options as passed to a call
+     * @param {string[]} params - Extra option names the preset accepts
+     * @returns {string[]} - Problems found
      */
-    createTimeline(name, options = {}) {
-        const timeline = gsap.timeline(options);
-        this.timelines.set(name, timeline);
-        return timeline;
+    _checkOptions(options, params = []) {
+        const problems = [];
+        const known = [...GSAPAnimationLibrary.animationOptions, ...params];
+        const presetParams = [];
+        this.presets.forEach(preset => presetParams.push(...preset.params));
+        const style = typeof document !== 'undefined' && document.documentElement ? document.documentElement.style : {};
+
+        Object.keys(options).forEach(key => {
+            if (known.includes(key) || presetParams.includes(key) || key in style) return;
+            problems.push(`Unknown option "${key}".${this._suggest(key, known) || ' GSAP will set it as a property on the target.'}`);
+        });
+
+        const { durations, eases, distances } = GSAPAnimationLibrary.tokenOptions;
+        durations.forEach(key => {
+            const value = key === 'stagger' && options.stagger && typeof options.stagger === 'object'
+                ? options.stagger.each
+                : options[key];
+            if (value === undefined || value === null || typeof value === 'function') return;
+            if (typeof value === 'string' && !this._isToken('durations', value)) {
+                problems.push(`${key} "${value}" is not a number or a duration token.`
+                    + (this._suggest(value, Object.keys(this.tokens.durations)) || ` Tokens: ${Object.keys(this.tokens.durations).join(', ')}.`));
+            } else if (typeof value === 'number' && !(value >= 0)) {
+                problems.push(`${key} should be a positive number of seconds, got ${value}.`);
+            }
+        });
+
+        eases.forEach(key => {
+            const value = options[key];
+            if (typeof value !== 'string' || this._isToken('eases', value) || gsap.parseEase(value)) return;
+            problems.push(`Unknown ease "${value}".`
+                + this._suggest(value.split('(')[0], [...GSAPAnimationLibrary.easeNames, ...Object.keys(this.tokens.eases)]));
+        });
+
+        distances.forEach(key => {
+            const value = options[key];
+            if (typeof value !== 'string' || this._isToken('distances', value) || value === 'offscreen' || /^[-+]?[\d.]/.test(value)) return;
+            problems.push(`${key} "${value}" is not a length or a distance token.`
+                + (this._suggest(value, Object.keys(this.tokens.distances)) || ` Tokens: ${Object.keys(this.tokens.distances).join(', ')}.`));
+        });
+
+        return problems;
     }
 
     /**
-     * Get a timeline by name
-     * @param {string} name - Timeline name
-     * @returns {gsap.core.Timeline}
+     * Check whether a value names a token in a group
+     * @param {string} group - 'durations', 'eases' or 'distances'
+     * @param {string} value - Possible token name
+     * @returns {boolean}
      */
-    getTimeline(name) {
-        return this.timelines.get(name);
+    _isToken(group, value) {
+        return Object.prototype.hasOwnProperty.call(this.tokens[group], value);
     }
 
     /**
-     * Play a timeline
+     * Debug mode: get a timeline for a timeline method, reporting unknown names and bad arguments
+     * @param {string} method - Method being called
      * @param {string} name - Timeline name
+     * @param {Function} [check] - (timeline) => problems with the method's other arguments
+     * @returns {gsap.core.Timeline|undefined}
      */
-    playTimeline(name) {
+    _timelineFor(method, name, check) {
         const timeline = this.timelines.get(name);
-        if (timeline) timeline.play();
+        if (!this.debug) return timeline;
+
+        if (!timeline) {
+            const names = this.listTimelines();
+            this._report(`${method}("${name}")`, [`No timeline named "${name}".`
+                + (this._suggest(String(name), names) || (names.length
+                    ? ` Timelines: ${names.join(', ')}.`
+                    : ' Create it with createTimeline() or sequence() first.'))]);
+        } else if (check) {
+            this._report(`${method}("${name}")`, check(timeline));
+        }
+        return timeline;
     }
 
     /**
-     * Pause a timeline
-     * @param {string} name - Timeline name
+     * Describe targets for a diagnostic label
+     * @param {HTMLElement|Array|NodeList|string} targets - Targets as passed to a call
+     * @returns {string}
      */
-    pauseTimeline(name) {
-        const timeline = this.timelines.get(name);
-        if (timeline) timeline.pause();
+    _describeTargets(targets) {
+        if (typeof targets === 'string') return `"${targets}"`;
+        if (!targets) return String(targets);
+        if (targets.nodeType === 1) {
+            return targets.tagName.toLowerCase() + (targets.id ? `#${targets.id}` : '');
+        }
+        if (typeof targets.length === 'number') return `[${targets.length} targets]`;
+        return typeof targets;
     }
 
     /**
-     * Reverse a timeline
-     * @param {string} name - Timeline name
+     * Debug mode output: one collapsed console group per call, or an error in strict mode
+     * @param {string} label - Call the problems belong to
+     * @param {string[]} problems - Problems found
      */
-    reverseTimeline(name) {
-        const timeline = this.timelines.get(name);
-        if (timeline) timeline.reverse();
+    _report(label, problems) {
+        if (!problems.length) return;
+
+        if (this.debug === 'strict') {
+            const error = new Error(`${label}: ${problems.join(' ')}`);
+            error.errors = problems;
+            throw error;
+        }
+
+        console.groupCollapsed(`GSAPAnimationLibrary: ${label} (${problems.length} ${problems.length === 1 ? 'problem' : 'problems'})`);
+        problems.forEach(problem => console.warn(problem));
+        console.groupEnd();
     }
 
     /**
-     * Restart a timeline
-     * @param {string} name - Timeline name
+     * Suggest the closest candidate to a misspelled name
+     * @param {string} value - Name as written
+     * @param {string[]} candidates - Valid names
+     * @returns {string} - ' Did you mean "x"?', or '' when nothing is close
      */
-    restartTimeline(name) {
-        const timeline = this.timelines.get(name);
-        if (timeline) timeline.restart();
+    _suggest(value, candidates) {
+        let best = null;
+        let bestDistance = Math.max(2, Math.floor(value.length / 3)) + 1;
+
+        candidates.forEach(candidate => {
+            const distance = this._editDistance(value.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best ? ` Did you mean "${best}"?` : '';
     }
 
     /**
-     * Create a scroll-triggered animation
-     * @param {HTMLElement} element - Trigger element
-     * @param {Function} animation - Animation callback
-     * @param {Object} options - ScrollTrigger options
-     * @returns {ScrollTrigger}
+     * Count the single-character edits between two strings (Levenshtein distance)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number}
      */
-    scrollTrigger(element, animation, options = {}) {
-        if (typeof ScrollTrigger === 'undefined') {
-            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
-            return null;
+    _editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
         }
+        return previous[b.length];
+    }
 
-        return ScrollTrigger.create({
-            trigger: element,
-            start: options.start || 'top 80%',
-            end: options.end || 'bottom 20%',
-            onEnter: () => animation(),
-            markers: options.markers || false,
-            ...options
+    /**
+     * Register a custom animation preset, or override an existing one
+     * @param {string} name - Preset name (also exposed as lib[name](element, options))
+     * @param {Object} definition - Preset definition
+     * @param {Object|Function} [definition.from] - State set before animating, or (options) => state
+     * @param {Object|Function} [definition.to] - State to animate to, or (options) => state
+     * @param {Function} [definition.build] - (element, options, lib) => Tween|Timeline, for multi-step presets
+     * @param {Object} [definition.defaults] - Default options (duration, ease, ...) for this preset
+     * @param {string[]} [definition.params] - Preset-only option names that are not passed to GSAP
+     * @param {string} [definition.inverse] - Name of the preset that undoes this one
+     * @param {string} [definition.reducedMotion] - 'fade' (opacity only), 'instant' (jump to end) or 'skip'
+     * @returns {GSAPAnimationLibrary} - The library instance, for chaining
+     */
+    registerPreset(name, definition = {}) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('Preset name must be a non-empty string');
+        }
+        if (!definition.to && typeof definition.build !== 'function') {
+            throw new TypeError(`Preset "${name}" needs a "to" state or a "build" function`);
+        }
+
+        const isBuiltIn = Object.prototype.hasOwnProperty.call(GSAPAnimationLibrary.builtInPresets, name);
+        if (!isBuiltIn && !this.presets.has(name) && name in this) {
+            throw new Error(`Preset "${name}" would shadow an existing GSAPAnimationLibrary method`);
+        }
+
+        this.presets.set(name, {
+            from: definition.from || null,
+            to: definition.to || null,
+            build: definition.build || null,
+            defaults: { ...definition.defaults },
+            params: [...(definition.params || [])],
+            inverse: definition.inverse || null,
+            reducedMotion: definition.reducedMotion || (definition.build ? 'skip' : 'fade')
         });
+
+        // Built-in presets already have a prototype method; custom ones get a shortcut
+        if (!isBuiltIn) {
+            this[name] = (element, options = {}) => this.play(name, element, options);
+        }
+
+        return this;
     }
 
     /**
-     * Kill all active animations
+     * Remove a preset from this instance
+     * @param {string} name - Preset name
+     * @returns {boolean} - True if the preset existed
      */
-    killAll() {
-        this.activeAnimations.forEach(anim => anim.kill());
-        this.activeAnimations.clear();
-        gsap.killTweensOf('*');
+    unregisterPreset(name) {
+        if (!this.presets.delete(name)) return false;
+        if (Object.prototype.hasOwnProperty.call(this, name)) {
+            delete this[name];
+        }
+        return true;
     }
 
     /**
-     * Kill a specific animation
-     * @param {gsap.core.Tween} animation - Animation to kill
+     * Check whether a preset is registered
+     * @param {string} name - Preset name
+     * @returns {boolean}
      */
-    killAnimation(animation) {
-        if (animation) {
-            animation.kill();
-            this.activeAnimations.delete(animation);
+    hasPreset(name) {
+        return this.presets.has(name);
+    }
+
+    /**
+     * Get a registered preset definition
+     * @param {string} name - Preset name
+     * @returns {Object|undefined}
+     */
+    getPreset(name) {
+        return this.presets.get(name);
+    }
+
+    /**
+     * List the names of all registered presets
+     * @returns {string[]}
+     */
+    listPresets() {
+        return Array.from(this.presets.keys());
+    }
+
+    /**
+     * Play a registered preset by name
+     * @param {string} name - Preset name
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (pass stagger to offset multiple elements)
+     * @returns {AnimationHandle}
+     */
+    play(name, element, options = {}) {
+        const preset = this._requirePreset(name);
+        if (this.debug) this._checkPresetCall(`${name}(${this._describeTargets(element)})`, name, element, options);
+
+        const { essential, scope, ...config } = this._presetConfig(name, preset, options);
+        element = this._resolveTargets(element, scope);
+        this._recordStyles(element);
+
+        if (this.reducedMotion && !essential) {
+            return this._playReduced(preset, element, config);
+        }
+
+        if (preset.build) {
+            // Build functions pass essential on to the presets they play (e.g. splitReveal's pieces)
+            const animation = this._build(preset, element, essential ? { ...config, essential } : config);
+            this._applyCallbacks(animation, config);
+            return this._track(animation);
+        }
+
+        if (preset.from) {
+            this.set(element, this._resolveState(preset.from, config));
         }
+
+        return this.animate(element, this._resolveState(preset.to, config), this._presetVars(preset, config));
     }
 
     /**
-     * Reset an element to its initial state
-     * @param {HTMLElement} element - Element to reset
+     * Play a preset under reduced motion: opacity only, straight to the end state, or not at all
+     * @param {Object} preset - Preset definition
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} config - Merged animation options
+     * @returns {AnimationHandle}
      */
-    resetElement(element) {
-        gsap.set(element, { clearProps: 'x,y,scale,rotation,opacity,transform' });
+    _playReduced(preset, element, config) {
+        if (preset.build && preset.reducedMotion !== 'skip') {
+            const animation = this._build(preset, element, { ...config, repeat: 0 });
+            this._applyCallbacks(animation, config);
+            animation.progress(1);
+            return this._track(animation);
+        }
+
+        const tween = preset.build ? null : this._presetTween(preset, config, true);
+        if (!tween) {
+            // Skipped presets still return a handle, and their callbacks still fire
+            return this.animate(element, {}, this._instantVars(this._presetVars(preset, config)));
+        }
+
+        if (Object.keys(tween.from).length) this.set(element, tween.from);
+        return this.animate(element, tween.to, tween.vars);
     }
-}
+
+    /**
+     * Resolve a single-tween preset's start state, end state and vars, applying the reduced-motion policy:
+     * 'skip' plays nothing, 'instant' (or a preset that doesn't change opacity) jumps to the end state,
+     * and 'fade' animates opacity only
+     * @param {Object} preset - Preset definition
+     * @param {Object} config - Merged animation options
+     * @param {boolean} reduced - Whether motion is reduced for this call
+     * @returns {{from: Object, to: Object, vars: Object}|null} - null when the preset is skipped
+     */
+    _presetTween(preset, config, reduced) {
+        const vars = this._presetVars(preset, config);
+        const from = preset.from ? this._resolveState(preset.from, config) : {};
+        const to = this._resolveState(preset.to, config);
+        if (!reduced) return { from, to, vars };
+
+        if (preset.reducedMotion === 'skip') return null;
+        const fadeTo = this._pickOpacity(to);
+        if (preset.reducedMotion === 'instant' || !Object.keys(fadeTo).length) {
+            return { from, to, vars: this._instantVars(vars) };
+        }
+        return { from: this._pickOpacity(from), to: fadeTo, vars: { ...vars, repeat: 0 } };
+    }
+
+    /**
+     * Copy tween vars so the tween lands on its end state straight away
+     * @param {Object} vars - Tween vars
+     * @returns {Object}
+     */
+    _instantVars(vars) {
+        return { ...vars, duration: 0, delay: 0, repeat: 0, stagger: 0 };
+    }
+
+    /**
+     * Run a multi-step preset's build function
+     * @param {Object} preset - Preset definition
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} config - Merged animation options
+     * @returns {gsap.core.Tween|gsap.core.Timeline}
+     */
+    _build(preset, element, config) {
+        // Presets the build plays internally were already checked through the outer call
+        return this._withoutChecks(() => preset.build(element, config, this));
+    }
+
+    /**
+     * Run a function with debug checks turned off
+     * @param {Function} fn - Function to run
+     * @returns {*} - The function's return value
+     */
+    _withoutChecks(fn) {
+        const debug = this.debug;
+        this.debug = false;
+        try {
+            return fn();
+        } finally {
+            this.debug = debug;
+        }
+    }
+
+    /**
+     * Resolve a preset state that may be a function of the call options
+     * @param {Object|Function} state - State object or (options) => state
+     * @param {Object} config - Merged animation options
+     * @returns {Object}
+     */
+    _resolveState(state, config) {
+        return typeof state === 'function' ? state(config) : { ...state };
+    }
+
+    /**
+     * Strip preset-only params from options before they reach GSAP
+     * @param {Object} preset - Preset definition
+     * @param {Object} config - Merged animation options
+     * @returns {Object}
+     */
+    _presetVars(preset, config) {
+        const vars = { ...config };
+        preset.params.forEach(param => delete vars[param]);
+        return vars;
+    }
+
+    /**
+     * Keep only the opacity properties of a state
+     * @param {Object} state - Animation state
+     * @returns {Object}
+     */
+    _pickOpacity(state) {
+        const picked = {};
+        ['opacity', 'autoAlpha'].forEach(key => {
+            if (key in state) picked[key] = state[key];
+        });
+        return picked;
+    }
+
+    /**
+     * Fade in animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    fadeIn(element, options = {}) {
+        return this.play('fadeIn', element, options);
+    }
+
+    /**
+     * Fade out animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    fadeOut(element, options = {}) {
+        return this.play('fadeOut', element, options);
+    }
+
+    /**
+     * Slide in from any side
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (side: 'top', 'bottom', 'left', 'right', 'start', 'end'
+     *   or a diagonal such as 'bottom-left'; distance: pixels, a CSS length, a percentage or 'offscreen')
+     * @returns {AnimationHandle}
+     */
+    slide(element, options = {}) {
+        return this.play('slide', element, options);
+    }
+
+    /**
+     * Slide out towards any side, fading out
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (side: side to leave towards, defaults to 'bottom'; distance)
+     * @returns {AnimationHandle}
+     */
+    slideOut(element, options = {}) {
+        return this.play('slideOut', element, options);
+    }
+
+    /**
+     * Slide up animation (slide from the bottom)
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (distance: pixels, a CSS length, a percentage or 'offscreen')
+     * @returns {AnimationHandle}
+     */
+    slideUp(element, options = {}) {
+        return this.play('slideUp', element, options);
+    }
+
+    /**
+     * Slide down animation (slide from the top)
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (distance: pixels, a CSS length, a percentage or 'offscreen')
+     * @returns {AnimationHandle}
+     */
+    slideDown(element, options = {}) {
+        return this.play('slideDown', element, options);
+    }
+
+    /**
+     * Slide left animation (slide from the right)
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (distance: pixels, a CSS length, a percentage or 'offscreen')
+     * @returns {AnimationHandle}
+     */
+    slideLeft(element, options = {}) {
+        return this.play('slideLeft', element, options);
+    }
+
+    /**
+     * Slide right animation (slide from the left)
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (distance: pixels, a CSS length, a percentage or 'offscreen')
+     * @returns {AnimationHandle}
+     */
+    slideRight(element, options = {}) {
+        return this.play('slideRight', element, options);
+    }
+
+    /**
+     * Scale up animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    scaleUp(element, options = {}) {
+        return this.play('scaleUp', element, options);
+    }
+
+    /**
+     * Scale down animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    scaleDown(element, options = {}) {
+        return this.play('scaleDown', element, options);
+    }
+
+    /**
+     * Rotate in animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    rotateIn(element, options = {}) {
+        return this.play('rotateIn', element, options);
+    }
+
+    /**
+     * Rotate out animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    rotateOut(element, options = {}) {
+        return this.play('rotateOut', element, options);
+    }
+
+    /**
+     * Bounce in animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    bounceIn(element, options = {}) {
+        return this.play('bounceIn', element, options);
+    }
+
+    /**
+     * Elastic animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    elastic(element, options = {}) {
+        return this.play('elastic', element, options);
+    }
+
+    /**
+     * Flip animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options
+     * @returns {AnimationHandle}
+     */
+    flip(element, options = {}) {
+        return this.play('flip', element, options);
+    }
+
+    /**
+     * Shake animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (intensity: number of pixels)
+     * @returns {AnimationHandle}
+     */
+    shake(element, options = {}) {
+        return this.play('shake', element, options);
+    }
+
+    /**
+     * Pulse animation
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (repeat: number of repetitions)
+     * @returns {AnimationHandle}
+     */
+    pulse(element, options = {}) {
+        return this.play('pulse', element, options);
+    }
+
+    /**
+     * Reveal text piece by piece with another preset
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (split: 'chars', 'words' or 'lines', preset: preset for each piece,
+     *   stagger, revert: restore the original DOM when done)
+     * @returns {AnimationHandle}
+     */
+    splitReveal(element, options = {}) {
+        return this.play('splitReveal', element, options);
+    }
+
+    /**
+     * Type text out one character at a time
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (speed: seconds per character, or duration for the whole text;
+     *   revert: restore the original DOM when done)
+     * @returns {AnimationHandle}
+     */
+    typewriter(element, options = {}) {
+        return this.play('typewriter', element, options);
+    }
+
+    /**
+     * Scramble characters before settling on the real text
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (characters: pool of random characters, stagger,
+     *   revert: restore the original DOM when done)
+     * @returns {AnimationHandle}
+     */
+    scramble(element, options = {}) {
+        return this.play('scramble', element, options);
+    }
+
+    /**
+     * Count a number up (or down) in the element's text
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate
+     * @param {Object} options - Animation options (from, to: defaults to data-target, decimals,
+     *   format: Intl.NumberFormat options, locale, prefix, suffix)
+     * @returns {AnimationHandle}
+     */
+    countUp(element, options = {}) {
+        return this.play('countUp', element, options);
+    }
+
+    /**
+     * Show hidden elements with a preset: they are put back in the layout and the accessibility tree
+     * first, then animate in. Showing elements that are still hiding continues from where they are.
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to show
+     * @param {string} [preset] - Preset to play (defaults to 'fadeIn')
+     * @param {Object} options - Preset options plus display (used when a stylesheet hides the element,
+     *   default 'block') and scope
+     * @returns {AnimationHandle}
+     */
+    show(element, preset = 'fadeIn', options = {}) {
+        if (preset && typeof preset === 'object') return this.show(element, undefined, preset);
+
+        // keepSpace is a hide() option; toggle() passes the same options to both
+        const { display, keepSpace, ...presetOptions } = options;
+        if (this.debug) {
+            this._checkPresetCall(`show("${preset}", ${this._describeTargets(element)})`, preset, element, presetOptions);
+        }
+
+        const targets = this._resolveTargets(element, options.scope);
+        this._recordStyles(targets);
+
+        const hidden = targets.filter(target => {
+            const wasHidden = this._isHiddenFromView(target);
+            const record = this._interruptVisibility(target, 'shown');
+
+            target.removeAttribute('hidden');
+            if (target.style.display === 'none') target.style.display = record.display ?? '';
+            if (target.style.visibility === 'hidden') target.style.visibility = '';
+            if (this._isHiddenFromView(target)) {
+                // Still hidden by a stylesheet
+                if (getComputedStyle(target).display === 'none') target.style.display = display || 'block';
+                if (getComputedStyle(target).visibility === 'hidden') target.style.visibility = 'visible';
+            }
+            target.removeAttribute('aria-hidden');
+            target.removeAttribute('inert');
+            return wasHidden;
+        });
+
+        return this._playVisibility(preset, targets, hidden, presetOptions);
+    }
+
+    /**
+     * Hide elements with a preset: they leave the accessibility tree and stop taking focus straight away,
+     * and leave the layout (display: none) when the animation finishes. Hiding elements that are still
+     * showing continues from where they are.
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to hide
+     * @param {string} [preset] - Preset to play (defaults to 'fadeOut')
+     * @param {Object} options - Preset options plus keepSpace (hide with visibility: hidden instead,
+     *   so the element keeps its place in the layout) and scope
+     * @returns {AnimationHandle}
+     */
+    hide(element, preset = 'fadeOut', options = {}) {
+        if (preset && typeof preset === 'object') return this.hide(element, undefined, preset);
+
+        // display is a show() option; toggle() passes the same options to both
+        const { display, keepSpace, onComplete, ...presetOptions } = options;
+        if (this.debug) {
+            this._checkPresetCall(`hide("${preset}", ${this._describeTargets(element)})`, preset, element, presetOptions);
+        }
+
+        const targets = this._resolveTargets(element, options.scope);
+        this._recordStyles(targets);
+
+        const records = new Map();
+        targets.forEach(target => {
+            records.set(target, this._interruptVisibility(target, 'hidden'));
+            target.setAttribute('aria-hidden', 'true');
+            target.setAttribute('inert', '');
+        });
+
+        // Only elements that no later show() or hide() took over leave the layout
+        presetOptions.onComplete = (...args) => {
+            records.forEach((record, target) => {
+                if (this._visibility.get(target) !== record) return;
+                if (keepSpace) {
+                    target.style.visibility = 'hidden';
+                } else {
+                    if (target.style.display !== 'none') record.display = target.style.display;
+                    target.style.display = 'none';
+                }
+            });
+            if (onComplete) onComplete(...args);
+        };
+
+        // Hiding always starts from what is on screen, never from the preset's start state
+        return this._playVisibility(preset, targets, [], presetOptions);
+    }
+
+    /**
+     * Show hidden elements or hide visible ones. Showing plays the preset; hiding plays its inverse
+     * (fadeOut for presets without one), so toggle(panel, 'slide') slides the panel back the way it came.
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to toggle; the first decides the direction
+     * @param {string} [preset] - Preset used to show (defaults to 'fadeIn')
+     * @param {Object} options - Options for show() or hide()
+     * @returns {AnimationHandle}
+     */
+    toggle(element, preset = 'fadeIn', options = {}) {
+        if (preset && typeof preset === 'object') return this.toggle(element, undefined, preset);
+
+        const first = this._resolveTarget(element, options.scope);
+        if (first && !this._isShown(first)) return this.show(element, preset, options);
+
+        const definition = this._requirePreset(preset);
+        return this.hide(element, definition.inverse || 'fadeOut', this._inverseOptions(definition, options));
+    }
+
+    /**
+     * Options for playing a preset's inverse: the preset's own param defaults (such as slideDown's side),
+     * then the caller's options, so the inverse leaves the way the preset came in
+     * @param {Object} preset - Preset definition
+     * @param {Object} options - Options passed to the call
+     * @returns {Object}
+     */
+    _inverseOptions(preset, options = {}) {
+        const own = {};
+        preset.params.forEach(param => {
+            if (preset.defaults[param] !== undefined) own[param] = preset.defaults[param];
+        });
+        return { ...own, ...options };
+    }
+
+    /**
+     * Check whether an element is shown, or on its way to being shown
+     * @param {HTMLElement} target - Element to check
+     * @returns {boolean}
+     */
+    _isShown(target) {
+        const record = this._visibility.get(target);
+        if (record) return record.state === 'shown';
+        return !this._isHiddenFromView(target) && target.getAttribute('aria-hidden') !== 'true';
+    }
+
+    /**
+     * Check whether an element is out of view right now: the hidden attribute, display: none or visibility: hidden
+     * @param {HTMLElement} target - Element to check
+     * @returns {boolean}
+     */
+    _isHiddenFromView(target) {
+        if (target.hasAttribute('hidden')) return true;
+        const style = typeof getComputedStyle === 'function' ? getComputedStyle(target) : target.style;
+        return style.display === 'none' || style.visibility === 'hidden';
+    }
+
+    /**
+     * Stop an earlier show() or hide() on an element, leaving it where it got to, and start a new record
+     * @param {HTMLElement} target - Element about to be shown or hidden
+     * @param {string} state - 'shown' or 'hidden'
+     * @returns {Object} - The element's new visibility record: { state, display, animation }
+     */
+    _interruptVisibility(target, state) {
+        const previous = this._visibility.get(target);
+        if (previous && previous.animation) this._releaseTarget(previous.animation, target);
+
+        // display remembers the inline value hide() replaced with 'none'
+        const record = { state, display: previous ? previous.display : undefined, animation: null };
+        this._visibility.set(target, record);
+        return record;
+    }
+
+    /**
+     * Play a show/hide preset. Elements that were hidden start from the preset's start state;
+     * the rest animate from their current values, so interrupting a show or hide never jumps.
+     * @param {string} name - Preset name
+     * @param {HTMLElement[]} targets - Resolved elements
+     * @param {HTMLElement[]} hidden - Elements that get the preset's start state first
+     * @param {Object} options - Preset options
+     * @returns {AnimationHandle}
+     */
+    _playVisibility(name, targets, hidden, options) {
+        const preset = this._requirePreset(name);
+        let handle;
+
+        if (preset.build) {
+            // Multi-step presets (text effects) always run from their own start
+            handle = this._withoutChecks(() => this.play(name, targets, options));
+        } else {
+            const { essential, scope, ...config } = this._presetConfig(name, preset, options);
+            const tween = this._presetTween(preset, config, this.reducedMotion && !essential);
+
+            if (!tween) {
+                handle = this.animate(targets, {}, this._instantVars(this._presetVars(preset, config)));
+            } else {
+                if (hidden.length && Object.keys(tween.from).length) this.set(hidden, tween.from);
+                handle = this.animate(targets, tween.to, tween.vars);
+            }
+        }
+
+        targets.forEach(target => {
+            const record = this._visibility.get(target);
+            if (record) record.animation = handle.animation;
+        });
+        return handle;
+    }
+
+    /**
+     * Stagger any registered preset across multiple elements
+     * @param {string} name - Preset name
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options (stagger: seconds between elements, or a GSAP stagger object)
+     * @returns {AnimationHandle}
+     */
+    stagger(name, elements, options = {}) {
+        return this._stagger(name, elements, options, null);
+    }
+
+    /**
+     * Stagger a preset, reporting debug diagnostics under the method that was called
+     * @param {string} name - Preset name
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options
+     * @param {string|null} method - Stagger helper name (e.g. 'staggerFadeIn'), or null for stagger()
+     * @returns {AnimationHandle}
+     */
+    _stagger(name, elements, options, method) {
+        const preset = this._requirePreset(name);
+        if (this.debug) {
+            const call = method
+                ? `${method}(${this._describeTargets(elements)})`
+                : `stagger("${name}", ${this._describeTargets(elements)})`;
+            this._checkPresetCall(call, name, elements, options);
+        }
+
+        const config = this.resolveTokens({ ...options, stagger: options.stagger ?? this.defaults.stagger });
+
+        // Single-tween presets stagger natively through GSAP; reduced motion has nothing to stagger
+        if (!preset.build || (this.reducedMotion && !config.essential)) {
+            return this._withoutChecks(() => this.play(name, elements, config));
+        }
+
+        // Multi-step presets build one child per element, placed on a wrapper timeline
+        const timelineVars = {};
+        const childOptions = this._presetConfig(name, preset);
+        // The preset's own options (pulse's repeat, for one) shape each element before the group
+        const own = [...preset.params, ...Object.keys(preset.defaults)];
+        Object.keys(config).forEach(key => {
+            if (key === 'stagger' || key === 'scope') return;
+            if (GSAPAnimationLibrary.timelineOptions.includes(key) && !own.includes(key)) {
+                timelineVars[key] = config[key];
+            } else {
+                childOptions[key] = config[key];
+            }
+        });
+
+        // The default delay belongs to the group, not to every element
+        timelineVars.delay = timelineVars.delay ?? childOptions.delay;
+        delete childOptions.delay;
+
+        const targets = this._resolveTargets(elements, config.scope);
+        this._recordStyles(targets);
+        const offset = gsap.utils.distribute(config.stagger);
+        const tl = gsap.timeline(timelineVars);
+
+        targets.forEach((target, index) => {
+            tl.add(this._build(preset, target, childOptions), offset(index, target, targets));
+        });
+
+        return this._track(tl);
+    }
+
+    /**
+     * Stagger fade in animation for multiple elements
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options (stagger: delay between elements)
+     * @returns {AnimationHandle}
+     */
+    staggerFadeIn(elements, options = {}) {
+        return this._stagger('fadeIn', elements, options, 'staggerFadeIn');
+    }
+
+    /**
+     * Stagger fade out animation for multiple elements
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options (stagger: delay between elements)
+     * @returns {AnimationHandle}
+     */
+    staggerFadeOut(elements, options = {}) {
+        return this._stagger('fadeOut', elements, options, 'staggerFadeOut');
+    }
+
+    /**
+     * Stagger slide up animation for multiple elements
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options (stagger: delay, distance: pixels)
+     * @returns {AnimationHandle}
+     */
+    staggerSlideUp(elements, options = {}) {
+        return this._stagger('slideUp', elements, options, 'staggerSlideUp');
+    }
+
+    /**
+     * Stagger scale animation for multiple elements
+     * @param {string|NodeList|Array} elements - Elements to animate
+     * @param {Object} options - Animation options (stagger: delay between elements)
+     * @returns {AnimationHandle}
+     */
+    staggerScale(elements, options = {}) {
+        return this._stagger('scaleUp', elements, options, 'staggerScale');
+    }
+
+    /**
+     * Create a GSAP timeline
+     * @param {string} name - Timeline name for reference
+     * @param {Object} options - Timeline options (essential: keep infinite loops under reduced motion;
+     *   ifExists: 'kill' replaces a timeline with the same name (default), 'reuse' returns it, 'throw' throws)
+     * @returns {gsap.core.Timeline}
+     */
+    createTimeline(name, options = {}) {
+        const { essential, ifExists, ...vars } = options;
+        const existing = this.timelines.get(name);
+
+        if (existing) {
+            if (ifExists === 'reuse') return existing;
+            if (ifExists === 'throw') {
+                throw new Error(`Timeline "${name}" already exists. Remove it with removeTimeline() first.`);
+            }
+            this.removeTimeline(name);
+        }
+
+        // Forward GSAP callbacks to onTimeline() subscribers, after the timeline's own callback.
+        // `this` is the callbackScope when one is given, so subscribers get the timeline from the closure
+        const lib = this;
+        GSAPAnimationLibrary.callbackOptions.forEach(type => {
+            const own = vars[type];
+            const event = type.charAt(2).toLowerCase() + type.slice(3);
+            vars[type] = function (...args) {
+                if (own) own.apply(this, args);
+                lib._emitTimeline(name, event, timeline);
+            };
+        });
+
+        const timeline = gsap.timeline(vars);
+        if (essential) this._essentialTimelines.add(timeline);
+
+        // Hook completion now so playTimeline() handles can be awaited later
+        this._handleFor(timeline);
+
+        // Infinite timelines wait until motion is allowed again
+        if (this._isBlockedLoop(timeline) && !vars.paused) {
+            timeline.pause();
+            this._pausedForMotion.add(timeline);
+        }
+
+        this.timelines.set(name, timeline);
+        if (this._context) this._context.timelines.set(name, timeline);
+        return timeline;
+    }
+
+    /**
+     * Build a named timeline out of presets, so the whole sequence can be reversed, seeked and scrubbed
+     * @param {string} name - Timeline name for reference
+     * @param {Object[]} steps - Steps in order: { preset, target, at, label, ...presetOptions },
+     *   or { target, to, from, at, label, ...tweenOptions } for a plain tween; a step with only a label (and optionally at) adds a label
+     * @param {Object} options - Timeline options (paused defaults to true; play it with playTimeline();
+     *   scope: root for the steps' selector strings)
+     * @returns {gsap.core.Timeline}
+     */
+    sequence(name, steps, options = {}) {
+        const { scope, ...timelineOptions } = options;
+        const timeline = this.createTimeline(name, { paused: true, ...timelineOptions });
+
+        steps.forEach((step, index) => {
+            // to/from describe a plain tween; on a preset step they are preset options (slide, countUp)
+            const { preset, target, at, label, ...stepOptions } = step;
+            const { to, from, ...tweenOptions } = preset ? {} : stepOptions;
+            const presetOptions = { scope, ...stepOptions };
+
+            if (this.debug && (preset || to)) {
+                const call = `sequence("${name}") step ${index + 1}: ${preset || 'tween'}(${this._describeTargets(target)})`;
+                if (preset) {
+                    this._checkPresetCall(call, preset, target, presetOptions);
+                } else {
+                    this._report(call, this._checkTargets(target, scope));
+                }
+            }
+
+            // A labelled step starts at its label, so later steps can be positioned relative to it
+            if (label) timeline.addLabel(label, at);
+
+            let segment = null;
+            if (preset) {
+                segment = this._presetSegment(preset, target, presetOptions);
+            } else if (to) {
+                const targets = this._resolveTargets(target, scope);
+                this._recordStyles(targets);
+                // GSAP writes into vars objects, so keep the caller's step untouched for export()
+                const vars = this.resolveTokens({ ...tweenOptions, ...to });
+                segment = from ? gsap.fromTo(targets, { ...from }, vars) : gsap.to(targets, vars);
+            }
+            if (segment) timeline.add(segment, label || at);
+        });
+
+        // Kept so export() can write the sequence back out as it was described
+        this._sequenceSteps.set(timeline, { steps, options: timelineOptions });
+        return timeline;
+    }
+
+    /**
+     * Build a preset as an untracked tween or timeline, ready to be placed on a timeline
+     * @param {string} name - Preset name
+     * @param {HTMLElement|Array|NodeList|string} target - Element(s) to animate
+     * @param {Object} options - Preset options
+     * @returns {gsap.core.Tween|gsap.core.Timeline|null} - null when reduced motion skips the preset
+     */
+    _presetSegment(name, target, options) {
+        const preset = this._requirePreset(name);
+
+        const { essential, scope, ...config } = this._presetConfig(name, preset, options);
+        const targets = this._resolveTargets(target, scope);
+        const reduced = this.reducedMotion && !essential;
+        this._recordStyles(targets);
+
+        if (reduced && preset.reducedMotion === 'skip') return null;
+
+        if (preset.build) {
+            const buildConfig = reduced ? { ...config, repeat: 0 } : config;
+            const segment = this._build(preset, targets, essential ? { ...buildConfig, essential } : buildConfig);
+            this._applyCallbacks(segment, config);
+            return segment;
+        }
+
+        const tween = this._presetTween(preset, config, reduced);
+        return tween && gsap.fromTo(targets, tween.from, { ...tween.vars, ...tween.to });
+    }
+
+    /**
+     * Get a timeline by name
+     * @param {string} name - Timeline name
+     * @returns {gsap.core.Timeline}
+     */
+    getTimeline(name) {
+        return this.timelines.get(name);
+    }
+
+    /**
+     * Play a timeline
+     * @param {string} name - Timeline name
+     * @returns {AnimationHandle|undefined} - Resolves when the timeline completes
+     */
+    playTimeline(name) {
+        const timeline = this._timelineFor('playTimeline', name);
+        if (!timeline) return undefined;
+        if (this._isBlockedLoop(timeline)) {
+            this._pausedForMotion.add(timeline);
+            return this._handleFor(timeline);
+        }
+        return this._handleFor(timeline).play();
+    }
+
+    /**
+     * Pause a timeline
+     * @param {string} name - Timeline name
+     * @returns {AnimationHandle|undefined}
+     */
+    pauseTimeline(name) {
+        const timeline = this._timelineFor('pauseTimeline', name);
+        if (!timeline) return undefined;
+        this._pausedForMotion.delete(timeline);
+        return this._handleFor(timeline).pause();
+    }
+
+    /**
+     * Reverse a timeline
+     * @param {string} name - Timeline name
+     * @returns {AnimationHandle|undefined} - Resolves when the timeline is back at the start
+     */
+    reverseTimeline(name) {
+        const timeline = this._timelineFor('reverseTimeline', name);
+        if (!timeline) return undefined;
+        return this._handleFor(timeline).reverse();
+    }
+
+    /**
+     * Restart a timeline
+     * @param {string} name - Timeline name
+     * @returns {AnimationHandle|undefined} - Resolves when the timeline completes
+     */
+    restartTimeline(name) {
+        const timeline = this._timelineFor('restartTimeline', name);
+        if (!timeline) return undefined;
+        if (this._isBlockedLoop(timeline)) {
+            timeline.pause(0);
+            this._pausedForMotion.add(timeline);
+            return this._handleFor(timeline);
+        }
+        return this._handleFor(timeline).restart();
+    }
+
+    /**
+     * Jump a timeline to a time or label, keeping its play state
+     * @param {string} name - Timeline name
+     * @param {number|string} position - Time in seconds or a label
+     * @returns {AnimationHandle|undefined}
+     */
+    seekTimeline(name, position) {
+        const timeline = this._timelineFor('seekTimeline', name, tl => {
+            const label = typeof position === 'string' ? position.split(/[-+]=/)[0] : null;
+            if (!label || label in tl.labels || !isNaN(label)) return [];
+            return [`No label "${label}" on this timeline.`
+                + (this._suggest(label, Object.keys(tl.labels)) || ` Labels: ${Object.keys(tl.labels).join(', ') || 'none'}.`)];
+        });
+        if (!timeline) return undefined;
+        timeline.seek(position);
+        return this._handleFor(timeline);
+    }
+
+    /**
+     * Set a timeline's progress
+     * @param {string} name - Timeline name
+     * @param {number} progress - Progress from 0 to 1
+     * @returns {AnimationHandle|undefined}
+     */
+    setTimelineProgress(name, progress) {
+        const timeline = this._timelineFor('setTimelineProgress', name, () => (
+            typeof progress === 'number' && progress >= 0 && progress <= 1
+                ? []
+                : [`Progress should be a number from 0 to 1, got ${progress}.`]
+        ));
+        if (!timeline) return undefined;
+        return this._handleFor(timeline).progress(progress);
+    }
+
+    /**
+     * Change a timeline's playback speed
+     * @param {string} name - Timeline name
+     * @param {number} scale - 1 is normal speed, 2 twice as fast, 0.5 half speed
+     * @returns {AnimationHandle|undefined}
+     */
+    timeScaleTimeline(name, scale) {
+        const timeline = this._timelineFor('timeScaleTimeline', name, () => (
+            typeof scale === 'number' && scale > 0
+                ? []
+                : [`Time scale should be a number above 0, got ${scale}.`]
+        ));
+        if (!timeline) return undefined;
+        return this._handleFor(timeline).timeScale(scale);
+    }
+
+    /**
+     * Kill a timeline and forget its name
+     * @param {string} name - Timeline name
+     * @returns {boolean} - Whether a timeline was removed
+     */
+    removeTimeline(name) {
+        const timeline = this.timelines.get(name);
+        if (!timeline) return false;
+        this._handleFor(timeline).kill();
+        this._pausedForMotion.delete(timeline);
+        this.timelines.delete(name);
+        return true;
+    }
+
+    /**
+     * Get the names of every stored timeline
+     * @returns {string[]}
+     */
+    listTimelines() {
+        return Array.from(this.timelines.keys());
+    }
+
+    /**
+     * Subscribe to a named timeline's events. Subscriptions belong to the name,
+     * so they carry over when the timeline is replaced.
+     * @param {string} name - Timeline name
+     * @param {string} event - 'start', 'update', 'complete', 'repeat' or 'reverseComplete'
+     * @param {Function} callback - Receives the timeline's handle
+     * @returns {Function} - Unsubscribe function
+     */
+    onTimeline(name, event, callback) {
+        if (!this._timelineListeners.has(name)) this._timelineListeners.set(name, new Map());
+        const events = this._timelineListeners.get(name);
+        if (!events.has(event)) events.set(event, new Set());
+        events.get(event).add(callback);
+        return () => this.offTimeline(name, event, callback);
+    }
+
+    /**
+     * Remove a subscription added with onTimeline()
+     * @param {string} name - Timeline name
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback to remove
+     */
+    offTimeline(name, event, callback) {
+        const events = this._timelineListeners.get(name);
+        if (events && events.has(event)) events.get(event).delete(callback);
+    }
+
+    /**
+     * Call the subscribers for a named timeline event
+     * @param {string} name - Timeline name
+     * @param {string} event - Event name
+     * @param {gsap.core.Timeline} timeline - Timeline that fired it
+     */
+    _emitTimeline(name, event, timeline) {
+        const events = this._timelineListeners.get(name);
+        if (!events || !events.has(event) || this.timelines.get(name) !== timeline) return;
+        const handle = this._handleFor(timeline);
+        events.get(event).forEach(callback => callback(handle));
+    }
+
+    /**
+     * Create a scroll-triggered animation
+     * @param {HTMLElement|string|NodeList|Array} element - Trigger element (the first match); presets and pairs animate every match
+     * @param {Function|string|AnimationHandle|Object} animation - onEnter callback, preset name, animation handle,
+     *   or { enter, leave } preset names played as the element enters and leaves
+     * @param {Object} options - ScrollTrigger options (toggleActions, once, ...; presetOptions: options for named presets)
+     * @returns {ScrollTrigger}
+     */
+    scrollTrigger(element, animation, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return null;
+        }
+
+        const isPair = animation && (animation.enter || animation.leave);
+        const isAnimation = animation && typeof animation.pause === 'function';
+        if (typeof animation !== 'function' && typeof animation !== 'string' && !isPair && !isAnimation) {
+            throw new TypeError('Animation should be a callback, a preset name, an animation handle or { enter, leave } preset names'
+                + ` (got ${animation === null ? 'null' : typeof animation})`);
+        }
+
+        if (this.debug) this._checkScrollTrigger(element, options);
+
+        const { presetOptions, scope, ...triggerOptions } = options;
+        element = this._resolveTargets(element, scope);
+
+        // The first element triggers; presets and pairs animate all of them
+        const config = {
+            trigger: element[0],
+            start: options.start || 'top 80%',
+            end: options.end || 'bottom 20%',
+            markers: options.markers || false
+        };
+
+        // Callbacks keep the original onEnter behaviour
+        if (typeof animation === 'function') {
+            return this._trackScrollTrigger(ScrollTrigger.create({
+                ...config,
+                onEnter: () => animation(),
+                ...triggerOptions
+            }));
+        }
+
+        if (isPair) {
+            return this._scrollPresetPair(element, animation, presetOptions, { ...config, ...triggerOptions });
+        }
+
+        // Presets and handles are built paused and driven by toggleActions
+        const handle = typeof animation === 'string'
+            ? this.play(animation, element, presetOptions).pause()
+            : animation.pause();
+
+        return this._trackScrollTrigger(ScrollTrigger.create({
+            ...config,
+            animation: handle.animation || handle,
+            toggleActions: 'play none none reverse',
+            ...triggerOptions
+        }));
+    }
+
+    /**
+     * Debug mode: check scrollTrigger() targets and options (the animation is always checked)
+     * @param {HTMLElement|string} element - Trigger element as passed
+     * @param {Object} options - Options as passed
+     */
+    _checkScrollTrigger(element, options) {
+        const problems = this._checkTargets(element, options.scope);
+        const known = [...GSAPAnimationLibrary.scrollTriggerOptions, 'presetOptions', 'scope'];
+
+        Object.keys(options).forEach(key => {
+            if (known.includes(key)) return;
+            problems.push(`Unknown ScrollTrigger option "${key}".${this._suggest(key, known)}`);
+        });
+
+        this._report(`scrollTrigger(${this._describeTargets(element)})`, problems);
+    }
+
+    /**
+     * Play one preset as an element scrolls in and another as it scrolls out
+     * @param {Array} element - Resolved elements; the first is the trigger
+     * @param {Object} pair - { enter, leave } preset names; leave defaults to the enter preset's inverse
+     * @param {Object} presetOptions - Options for both presets
+     * @param {Object} config - ScrollTrigger options
+     * @returns {ScrollTrigger}
+     */
+    _scrollPresetPair(element, pair, presetOptions = {}, config) {
+        const enter = pair.enter || 'fadeIn';
+        const preset = this.presets.get(enter);
+        const leave = pair.leave || (preset && preset.inverse) || null;
+        // An inverse leaves the way its preset came in; an explicit leave preset gets the options as given
+        const leaveOptions = pair.leave || !preset ? presetOptions : this._inverseOptions(preset, presetOptions);
+
+        const enterHandle = this.play(enter, element, presetOptions).pause();
+        let leaveHandle = null;
+
+        const onEnter = () => {
+            if (leaveHandle) this.killAnimation(leaveHandle);
+            leaveHandle = null;
+            enterHandle.restart();
+        };
+
+        const onLeave = () => {
+            // Without a leave preset, the enter animation plays backwards
+            if (!leave) {
+                enterHandle.reverse();
+                return;
+            }
+            enterHandle.pause();
+            leaveHandle = this.play(leave, element, leaveOptions);
+        };
+
+        // Callbacks passed with the ScrollTrigger options run after the pair's own
+        const chain = (type, handler) => self => {
+            handler();
+            if (typeof config[type] === 'function') config[type](self);
+        };
+
+        return this._trackScrollTrigger(ScrollTrigger.create({
+            ...config,
+            onEnter: chain('onEnter', onEnter),
+            onEnterBack: chain('onEnterBack', onEnter),
+            onLeave: chain('onLeave', onLeave),
+            onLeaveBack: chain('onLeaveBack', onLeave)
+        }));
+    }
+
+    /**
+     * Tie a preset to scroll position, so scrolling plays it forwards and backwards
+     * @param {string} name - Preset name
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to animate (the first is the trigger)
+     * @param {Object} options - Preset options plus start, end, markers and smooth
+     *   (seconds the animation takes to catch up with the scrollbar, or true for none)
+     * @returns {AnimationHandle|null}
+     */
+    scrub(name, element, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return null;
+        }
+
+        const { start, end, markers, smooth, scope, ...presetOptions } = options;
+        element = this._resolveTargets(element, scope);
+
+        const handle = this.play(name, element, presetOptions).pause();
+        this._trackScrollTrigger(ScrollTrigger.create({
+            trigger: element[0],
+            start: start || 'top bottom',
+            end: end || 'bottom top',
+            markers: markers || false,
+            scrub: smooth ?? true,
+            animation: handle.animation
+        }));
+        return handle;
+    }
+
+    /**
+     * Move elements at a different speed to the page as it scrolls.
+     * A speed of 1 scrolls normally, 0.5 at half speed and 1.5 faster than the page;
+     * a data-speed attribute on an element overrides the option.
+     * @param {HTMLElement|string|NodeList|Array} elements - Elements to move
+     * @param {Object} options - Parallax options (speed, axis: 'y' or 'x', start, end, markers)
+     * @returns {AnimationHandle[]}
+     */
+    parallax(elements, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return [];
+        }
+
+        // Parallax is decorative motion, so it is left out entirely
+        if (this.reducedMotion) return [];
+
+        const axis = options.axis === 'x' ? 'x' : 'y';
+        const targets = this._resolveTargets(elements, options.scope);
+        this._recordStyles(targets);
+
+        return targets.map(element => {
+            const speed = element.dataset && element.dataset.speed !== undefined
+                ? parseFloat(element.dataset.speed)
+                : (options.speed ?? 0.5);
+
+            // Distance the element travels while the trigger is active, re-read on resize
+            const offset = () => (1 - speed) * (window.innerHeight + element.offsetHeight) / 2;
+
+            const tween = gsap.fromTo(element, { [axis]: () => -offset() }, {
+                [axis]: () => offset(),
+                ease: 'none',
+                scrollTrigger: {
+                    trigger: element,
+                    start: options.start || 'top bottom',
+                    end: options.end || 'bottom top',
+                    markers: options.markers || false,
+                    scrub: true,
+                    invalidateOnRefresh: true
+                }
+            });
+
+            this._trackScrollTrigger(tween.scrollTrigger);
+            return this._track(tween);
+        });
+    }
+
+    /**
+     * Pin an element while the page scrolls, optionally scrubbing a named timeline meanwhile
+     * @param {HTMLElement|string} element - Element to pin
+     * @param {Object} options - Pin options (duration: scroll distance in px or an end value such as '+=150%',
+     *   timeline: name from createTimeline() or a GSAP timeline, start, smooth, pinSpacing, markers)
+     * @returns {ScrollTrigger|null}
+     */
+    pinSection(element, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return null;
+        }
+
+        let timeline = options.timeline;
+        if (typeof timeline === 'string') {
+            timeline = this.getTimeline(options.timeline);
+            if (!timeline) {
+                throw new Error(`Unknown timeline "${options.timeline}". Create it with createTimeline() first.`);
+            }
+        }
+        if (timeline) timeline.pause();
+
+        const duration = options.duration || '+=100%';
+
+        return this._trackScrollTrigger(ScrollTrigger.create({
+            trigger: this._resolveTarget(element, options.scope),
+            start: options.start || 'top top',
+            end: typeof duration === 'number' ? `+=${duration}` : duration,
+            pin: true,
+            pinSpacing: options.pinSpacing ?? true,
+            markers: options.markers || false,
+            animation: timeline || undefined,
+            scrub: timeline ? (options.smooth ?? true) : false,
+            invalidateOnRefresh: true
+        }));
+    }
+
+    /**
+     * Pin a container and scroll its panels sideways as the page scrolls down
+     * @param {HTMLElement|string} container - Element to pin; its width sets the travel distance
+     * @param {HTMLElement[]|NodeList|string} panels - Panels to move (selector strings are resolved inside the container)
+     * @param {Object} options - Options (snap: true to settle on each panel, or a ScrollTrigger snap value;
+     *   smooth, markers)
+     * @returns {AnimationHandle|null}
+     */
+    horizontalScroll(container, panels, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return null;
+        }
+
+        container = this._resolveTarget(container, options.scope);
+        const targets = this._resolveTargets(panels, container);
+        this._recordStyles(targets);
+
+        // Distances are functions so a refresh after resize measures the new layout
+        const distance = () => container.scrollWidth - container.offsetWidth;
+        const snap = options.snap === true && targets.length > 1
+            ? 1 / (targets.length - 1)
+            : options.snap || undefined;
+
+        const tween = gsap.to(targets, {
+            x: () => -distance(),
+            ease: 'none',
+            scrollTrigger: {
+                trigger: container,
+                start: 'top top',
+                end: () => `+=${distance()}`,
+                pin: true,
+                scrub: options.smooth ?? 1,
+                snap,
+                markers: options.markers || false,
+                invalidateOnRefresh: true
+            }
+        });
+
+        this._trackScrollTrigger(tween.scrollTrigger);
+        return this._track(tween);
+    }
+
+    /**
+     * Reveal many elements with a preset as they scroll into view. Elements that enter
+     * in the same frame are grouped and staggered together, using one ScrollTrigger batch.
+     * @param {HTMLElement|string|Array|NodeList} elements - Elements to reveal
+     * @param {string} name - Preset name
+     * @param {Object} options - Preset options plus batchMax, interval, stagger, once, start, end, markers
+     * @returns {{triggers: ScrollTrigger[], add: Function, refresh: Function, kill: Function}|null}
+     *   - Controller; add() reveals elements appended later (e.g. by infinite scroll)
+     */
+    scrollReveal(elements, name, options = {}) {
+        if (typeof ScrollTrigger === 'undefined') {
+            console.warn('ScrollTrigger plugin not loaded. Install: npm install gsap');
+            return null;
+        }
+
+        const preset = this._requirePreset(name);
+
+        const { batchMax, interval, stagger, once, start, end, markers, scope, ...presetOptions } = options;
+        const replay = once === false;
+        const context = this._context;
+        const inContext = fn => (context ? this._runInContext(context, fn) : fn());
+
+        // Start state applied before the elements are seen, so they don't flash in
+        const hide = targets => {
+            if (preset.build || !preset.from) return;
+            const from = this._resolveState(preset.from, this._presetConfig(name, preset, presetOptions));
+            if (!this.reducedMotion) {
+                this.set(targets, from);
+            } else if (preset.reducedMotion === 'fade') {
+                this.set(targets, this._pickOpacity(from));
+            }
+        };
+
+        const controller = {
+            triggers: [],
+
+            add: newElements => inContext(() => {
+                const targets = this._resolveTargets(newElements, scope);
+                if (!targets.length) return [];
+                hide(targets);
+
+                const triggers = ScrollTrigger.batch(targets, {
+                    interval: interval ?? 0.1,
+                    batchMax,
+                    start: start || 'top 85%',
+                    end: end || 'bottom top',
+                    markers: markers || false,
+                    once: !replay,
+                    onEnter: batch => inContext(() => this.stagger(name, batch, {
+                        ...presetOptions,
+                        stagger: stagger ?? this.defaults.stagger
+                    })),
+                    // Scrolling back above the start resets elements so they reveal again
+                    onLeaveBack: replay
+                        ? batch => inContext(() => {
+                            batch.forEach(element => this.killAnimationsOf(element));
+                            hide(batch);
+                        })
+                        : undefined
+                });
+
+                triggers.forEach(trigger => this._trackScrollTrigger(trigger));
+                controller.triggers.push(...triggers);
+                return triggers;
+            }),
+
+            refresh: () => ScrollTrigger.refresh(),
+
+            kill: () => {
+                controller.triggers.forEach(trigger => trigger.kill());
+                controller.triggers = [];
+            }
+        };
+
+        controller.add(elements);
+        return controller;
+    }
+
+    /**
+     * Build presets, timelines and animations from a JSON animation spec (see animation-spec.schema.json)
+     * @param {Object} spec - Animation spec
+     * @param {HTMLElement|Document} root - Element that selectors are resolved in (defaults to document)
+     * @returns {{timelines: string[], destroy: Function}} - Names of the timelines created, and a teardown function
+     */
+    load(spec, root = document) {
+        const errors = this.validateSpec(spec);
+        if (errors.length) {
+            const error = new Error(`Invalid animation spec:\n${errors.map(e => `  ${e.path}: ${e.message}`).join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        Object.keys(spec.presets || {}).forEach(name => this.registerPreset(name, spec.presets[name]));
+
+        const context = this.context(root === document ? null : root);
+        const unbinds = [];
+        const timelines = spec.timelines || {};
+
+        context.add(() => {
+            Object.keys(timelines).forEach(name => {
+                const { steps, options, scroll } = timelines[name];
+                const timeline = this.sequence(name, steps.map(step => {
+                    const { options: stepOptions, ...rest } = step;
+                    return { ...rest, ...stepOptions };
+                }), options);
+
+                if (scroll) {
+                    const { trigger, ...triggerOptions } = scroll;
+                    this.scrollTrigger(trigger, this._handleFor(timeline), triggerOptions);
+                }
+            });
+
+            (spec.animations || []).forEach(animation => {
+                const { preset, target, options = {}, trigger = 'load', scroll = {} } = animation;
+                const elements = this._resolveTargets(target);
+                const run = element => () => context.add(() => (options.stagger !== undefined
+                    ? this.stagger(preset, elements, options)
+                    : this.play(preset, element, options)));
+
+                // A staggered group shares one trigger: its first element
+                if (options.stagger !== undefined) {
+                    if (elements.length) unbinds.push(this.bindTrigger(elements[0], trigger, run(), scroll));
+                } else {
+                    elements.forEach(element => unbinds.push(this.bindTrigger(element, trigger, run(element), scroll)));
+                }
+            });
+        });
+
+        return {
+            timelines: Object.keys(timelines),
+            destroy: () => {
+                unbinds.forEach(unbind => unbind());
+                context.revert();
+            }
+        };
+    }
+
+    /**
+     * Check an animation spec without building anything
+     * @param {Object} spec - Animation spec
+     * @returns {Array<{path: string, message: string}>} - Problems found; empty when the spec is valid
+     */
+    validateSpec(spec) {
+        const errors = [];
+        const report = (path, message) => errors.push({ path, message });
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(spec)) {
+            report('spec', 'must be an object');
+            return errors;
+        }
+        if (spec.version !== undefined && spec.version !== 1) {
+            report('version', `unsupported version ${JSON.stringify(spec.version)}; expected 1`);
+        }
+
+        const presets = spec.presets || {};
+        const known = name => this.presets.has(name) || Object.prototype.hasOwnProperty.call(presets, name);
+
+        const checkPreset = (path, name) => {
+            if (typeof name !== 'string') {
+                report(path, 'must be a preset name');
+            } else if (!known(name)) {
+                report(path, `unknown preset "${name}"`);
+            }
+        };
+
+        const checkTarget = (path, target) => {
+            if (typeof target !== 'string' || !target.trim()) report(path, 'must be a CSS selector string');
+        };
+
+        const isToken = (group, value) => typeof value === 'string'
+            && Object.prototype.hasOwnProperty.call(this.tokens[group], value);
+
+        const checkOptions = (path, options) => {
+            if (!isObject(options)) {
+                report(path, 'must be an object');
+                return;
+            }
+            ['duration', 'delay', 'repeatDelay'].forEach(key => {
+                if (key in options && !((typeof options[key] === 'number' && options[key] >= 0) || isToken('durations', options[key]))) {
+                    report(`${path}.${key}`, 'must be a number of seconds, 0 or more, or a duration token');
+                }
+            });
+            if ('repeat' in options && !(Number.isInteger(options.repeat) && options.repeat >= -1)) {
+                report(`${path}.repeat`, 'must be a whole number, or -1 to repeat forever');
+            }
+            if ('ease' in options && !isToken('eases', options.ease)
+                && (typeof options.ease !== 'string' || !gsap.parseEase(options.ease))) {
+                report(`${path}.ease`, `unknown ease ${JSON.stringify(options.ease)}`);
+            }
+            if ('stagger' in options && !(typeof options.stagger === 'number' || isObject(options.stagger) || isToken('durations', options.stagger))) {
+                report(`${path}.stagger`, 'must be a number of seconds, a duration token or a GSAP stagger object');
+            }
+        };
+
+        const checkScroll = (path, scroll, needsTrigger) => {
+            if (!isObject(scroll)) {
+                report(path, 'must be an object');
+                return;
+            }
+            if (needsTrigger) checkTarget(`${path}.trigger`, scroll.trigger);
+            ['start', 'end'].forEach(key => {
+                if (key in scroll && !['string', 'number'].includes(typeof scroll[key])) {
+                    report(`${path}.${key}`, 'must be a ScrollTrigger position such as "top 80%"');
+                }
+            });
+            ['once', 'markers'].forEach(key => {
+                if (key in scroll && typeof scroll[key] !== 'boolean') report(`${path}.${key}`, 'must be true or false');
+            });
+            if ('scrub' in scroll && !['boolean', 'number'].includes(typeof scroll.scrub)) {
+                report(`${path}.scrub`, 'must be true, false or a number of seconds');
+            }
+        };
+
+        if (spec.presets !== undefined) {
+            if (!isObject(spec.presets)) {
+                report('presets', 'must be an object of preset definitions');
+            } else {
+                Object.keys(presets).forEach(name => {
+                    const path = `presets.${name}`;
+                    const definition = presets[name];
+                    if (!isObject(definition)) {
+                        report(path, 'must be an object');
+                        return;
+                    }
+                    if (!isObject(definition.to)) report(`${path}.to`, 'must be an object of end values');
+                    if ('from' in definition && !isObject(definition.from)) report(`${path}.from`, 'must be an object of start values');
+                    if ('defaults' in definition) checkOptions(`${path}.defaults`, definition.defaults);
+                    if ('inverse' in definition) checkPreset(`${path}.inverse`, definition.inverse);
+                    if ('reducedMotion' in definition && !['fade', 'instant', 'skip'].includes(definition.reducedMotion)) {
+                        report(`${path}.reducedMotion`, 'must be "fade", "instant" or "skip"');
+                    }
+                    if (typeof this[name] === 'function' && !this.presets.has(name)) {
+                        report(path, `"${name}" is a library method and can't be used as a preset name`);
+                    }
+                });
+            }
+        }
+
+        if (spec.animations !== undefined) {
+            if (!Array.isArray(spec.animations)) {
+                report('animations', 'must be an array');
+            } else {
+                spec.animations.forEach((animation, index) => {
+                    const path = `animations[${index}]`;
+                    if (!isObject(animation)) {
+                        report(path, 'must be an object');
+                        return;
+                    }
+                    checkPreset(`${path}.preset`, animation.preset);
+                    checkTarget(`${path}.target`, animation.target);
+                    if ('options' in animation) checkOptions(`${path}.options`, animation.options);
+                    if ('trigger' in animation && !['load', 'scroll', 'hover', 'click'].includes(animation.trigger)) {
+                        report(`${path}.trigger`, 'must be "load", "scroll", "hover" or "click"');
+                    }
+                    if ('scroll' in animation) checkScroll(`${path}.scroll`, animation.scroll, false);
+                });
+            }
+        }
+
+        if (spec.timelines !== undefined) {
+            if (!isObject(spec.timelines)) {
+                report('timelines', 'must be an object of named timelines');
+            } else {
+                Object.keys(spec.timelines).forEach(name => {
+                    const path = `timelines.${name}`;
+                    const timeline = spec.timelines[name];
+                    if (!isObject(timeline)) {
+                        report(path, 'must be an object');
+                        return;
+                    }
+                    if ('options' in timeline && !isObject(timeline.options)) report(`${path}.options`, 'must be an object');
+                    if ('scroll' in timeline) checkScroll(`${path}.scroll`, timeline.scroll, true);
+                    if (!Array.isArray(timeline.steps)) {
+                        report(`${path}.steps`, 'must be an array');
+                        return;
+                    }
+
+                    timeline.steps.forEach((step, index) => {
+                        const stepPath = `${path}.steps[${index}]`;
+                        if (!isObject(step)) {
+                            report(stepPath, 'must be an object');
+                            return;
+                        }
+                        if (!step.preset && !step.to && !step.label) {
+                            report(stepPath, 'needs a preset, a "to" object or a label');
+                        }
+                        if ('preset' in step) checkPreset(`${stepPath}.preset`, step.preset);
+                        if (step.preset || step.to) checkTarget(`${stepPath}.target`, step.target);
+                        if ('to' in step && !isObject(step.to)) report(`${stepPath}.to`, 'must be an object of end values');
+                        if ('from' in step && !isObject(step.from)) report(`${stepPath}.from`, 'must be an object of start values');
+                        if ('at' in step && !['string', 'number'].includes(typeof step.at)) {
+                            report(`${stepPath}.at`, 'must be a time in seconds or a position such as "-=0.2"');
+                        }
+                        if ('label' in step && typeof step.label !== 'string') report(`${stepPath}.label`, 'must be a string');
+                        if ('options' in step) checkOptions(`${stepPath}.options`, step.options);
+                    });
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Write a named timeline out as an animation spec
+     * @param {string} name - Timeline name
+     * @returns {Object} - Spec containing the timeline, ready for JSON.stringify() and load()
+     */
+    export(name) {
+        const timeline = this.timelines.get(name);
+        if (!timeline) {
+            throw new Error(`Unknown timeline "${name}". Create it with createTimeline() or sequence() first.`);
+        }
+
+        const recorded = this._sequenceSteps.get(timeline);
+        const steps = recorded
+            ? recorded.steps.map(step => this._exportStep(step))
+            : this._exportChildren(name, timeline);
+
+        return {
+            version: 1,
+            timelines: {
+                [name]: { options: this._jsonValues(recorded ? recorded.options : timeline.vars), steps }
+            }
+        };
+    }
+
+    /**
+     * Convert a sequence() step to its spec form
+     * @param {Object} step - Step as passed to sequence()
+     * @returns {Object}
+     */
+    _exportStep(step) {
+        const { preset, target, at, label, ...rest } = step;
+        // A preset step keeps to/from with its options, as sequence() reads them
+        const { to, from, ...tweenOptions } = preset ? {} : rest;
+        const options = preset ? rest : tweenOptions;
+        const exported = {};
+        if (preset) exported.preset = preset;
+        if (target !== undefined) exported.target = this._selectorFor(target);
+        if (to) exported.to = this._jsonValues(to);
+        if (from) exported.from = this._jsonValues(from);
+        if (at !== undefined) exported.at = at;
+        if (label) exported.label = label;
+        if (Object.keys(options).length) exported.options = this._jsonValues(options);
+        return exported;
+    }
+
+    /**
+     * Convert a hand-built timeline's labels and tweens to spec steps at absolute times
+     * @param {string} name - Timeline name, for error messages
+     * @param {gsap.core.Timeline} timeline - Timeline to convert
+     * @returns {Object[]}
+     */
+    _exportChildren(name, timeline) {
+        const steps = Object.keys(timeline.labels).map(label => ({ label, at: timeline.labels[label] }));
+
+        timeline.getChildren(false, true, true).forEach(child => {
+            const targets = typeof child.targets === 'function' ? child.targets() : [];
+            if (!targets.length || typeof targets[0] === 'function') {
+                throw new Error(`Timeline "${name}" contains nested timelines or callbacks, which can't be exported. Build it with sequence() instead.`);
+            }
+            const { startAt, ...to } = child.vars;
+            if (!to.delay) delete to.delay;
+            const step = child.vars.runBackwards
+                ? { target: this._selectorFor(targets), ...this._exportFromTween(child, targets[0]), at: child.startTime() }
+                : { target: this._selectorFor(targets), to: this._jsonValues(to), at: child.startTime() };
+            if (startAt) step.from = this._jsonValues(startAt);
+            steps.push(step);
+        });
+
+        return steps.sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * Split a from() tween, which keeps its start state in vars, into from and to values.
+     * The end state is read from the first target with the tween briefly moved to its end.
+     * @param {gsap.core.Tween} tween - Tween created with from()
+     * @param {Element} target - Element to read end values from
+     * @returns {{from: Object, to: Object}}
+     */
+    _exportFromTween(tween, target) {
+        const controls = ['duration', 'ease', 'stagger', 'yoyoEase', ...GSAPAnimationLibrary.timelineOptions];
+        const from = {};
+        const to = {};
+        Object.entries(this._jsonValues(tween.vars)).forEach(([key, value]) => {
+            if (controls.includes(key)) to[key] = value;
+            else from[key] = value;
+        });
+        if (!to.delay) delete to.delay;
+
+        const progress = tween.progress();
+        tween.progress(1, true);
+        Object.keys(from).forEach(key => {
+            to[key] = gsap.getProperty(target, key);
+        });
+        tween.progress(progress, true);
+
+        return { from, to };
+    }
+
+    /**
+     * Get a selector string for exported targets
+     * @param {HTMLElement|Array|NodeList|string} target - Target(s)
+     * @returns {string}
+     */
+    _selectorFor(target) {
+        if (typeof target === 'string') return target;
+        return gsap.utils.toArray(target).map(element => {
+            if (!element.id) {
+                throw new Error('Only selector strings and elements with an id can be exported.');
+            }
+            return `#${element.id}`;
+        }).join(', ');
+    }
+
+    /**
+     * Copy the JSON-safe part of a vars object, leaving out callbacks and GSAP internals
+     * @param {Object} vars - Vars or options
+     * @returns {Object}
+     */
+    _jsonValues(vars) {
+        const internal = ['parent', 'immediateRender', 'overwrite', 'lazy', 'callbackScope', 'runBackwards'];
+        const copy = {};
+        Object.keys(vars).forEach(key => {
+            const value = vars[key];
+            if (internal.includes(key) || typeof value === 'function' || value === undefined) return;
+            copy[key] = value !== null && typeof value === 'object' && !Array.isArray(value)
+                ? this._jsonValues(value)
+                : value;
+        });
+        return copy;
+    }
+
+    /**
+     * Wire up elements declared with data-gsap attributes, and watch for new ones
+     * @param {HTMLElement|Document|string} root - Element to scan, or a selector for it (defaults to document)
+     * @param {Object} options - Auto-init options (observe: watch the DOM for added/removed nodes)
+     * @returns {{refresh: Function, destroy: Function}} - Controller to rescan or tear everything down
+     */
+    autoInit(root = document, options = {}) {
+        const container = this._scopeRoot(root);
+        if (!container) throw new Error(`autoInit() root ${this._describeTargets(root)} matched no element.`);
+        root = container;
+        const bindings = new Map();
+        const observe = options.observe !== false && typeof MutationObserver !== 'undefined';
+
+        const bind = element => {
+            if (bindings.has(element)) return;
+            const binding = this._bindDataElement(element);
+            if (binding) bindings.set(element, binding);
+        };
+
+        const unbind = element => {
+            const cleanup = bindings.get(element);
+            if (!cleanup) return;
+            cleanup();
+            bindings.delete(element);
+        };
+
+        const scan = node => {
+            if (node.nodeType !== 1 && node.nodeType !== 9) return;
+            if (node.nodeType === 1 && node.hasAttribute('data-gsap')) bind(node);
+            node.querySelectorAll('[data-gsap]').forEach(bind);
+        };
+
+        const observer = observe ? new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(scan);
+            });
+            bindings.forEach((cleanup, element) => {
+                if (!element.isConnected) unbind(element);
+            });
+        }) : null;
+
+        scan(root);
+        if (observer) observer.observe(root, { childList: true, subtree: true });
+
+        const controller = {
+            refresh: () => scan(root),
+            destroy: () => {
+                if (observer) observer.disconnect();
+                Array.from(bindings.keys()).forEach(unbind);
+                this._autoInits.delete(controller);
+            }
+        };
+
+        this._autoInits.add(controller);
+        return controller;
+    }
+
+    /**
+     * Bind a single data-gsap element to its preset and trigger
+     * @param {HTMLElement} element - Element carrying data-gsap attributes
+     * @returns {Function|null} - Cleanup function, or null if the preset is unknown
+     */
+    _bindDataElement(element) {
+        const preset = element.getAttribute('data-gsap');
+        if (!this.presets.has(preset)) {
+            console.warn(`Unknown preset "${preset}" in data-gsap`, element);
+            return null;
+        }
+
+        const options = {};
+        let trigger = 'load';
+        let stagger = null;
+
+        Object.keys(element.dataset).forEach(key => {
+            if (key === 'gsap' || key.indexOf('gsap') !== 0) return;
+            const option = key.charAt(4).toLowerCase() + key.slice(5);
+            const value = GSAPAnimationLibrary.parseOptionValue(element.dataset[key]);
+
+            if (option === 'trigger') {
+                trigger = value;
+            } else if (option === 'stagger') {
+                stagger = value;
+            } else {
+                options[option] = value;
+            }
+        });
+        const { presetOptions, triggerOptions } = GSAPAnimationLibrary.splitScrollOptions(options);
+
+        // A data-gsap-stagger parent animates its children
+        const run = stagger !== null
+            ? () => this.stagger(preset, Array.from(element.children), { ...presetOptions, stagger })
+            : () => this.play(preset, element, presetOptions);
+
+        return this.bindTrigger(element, trigger, run, triggerOptions);
+    }
+
+    /**
+     * Run an animation when a trigger fires
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) that receive the trigger;
+     *   'scroll' uses the first one
+     * @param {string} trigger - 'load', 'scroll', 'hover' or 'click'
+     * @param {Function} run - Creates the animation and returns its handle
+     * @param {Object} triggerOptions - ScrollTrigger options for 'scroll'; once also limits 'hover' and 'click' to one run
+     * @returns {Function} - Cleanup function that removes listeners and kills the animation
+     */
+    bindTrigger(element, trigger, run, triggerOptions = {}) {
+        const targets = this._resolveTargets(element, triggerOptions.scope);
+        let animation = null;
+        let scrollTrigger = null;
+        let eventName = null;
+
+        const removeListeners = () => targets.forEach(target => target.removeEventListener(eventName, replay));
+        const replay = () => {
+            if (animation) {
+                animation.restart(true);
+            } else {
+                animation = run();
+            }
+            if (triggerOptions.once) removeListeners();
+        };
+
+        if (trigger === 'scroll') {
+            // Build paused so the start state applies before the element scrolls into view
+            animation = run();
+            animation.pause();
+            const once = triggerOptions.once !== false;
+            scrollTrigger = this.scrollTrigger(targets, () => {
+                if (once) {
+                    animation.play();
+                } else {
+                    animation.restart();
+                }
+            }, { ...triggerOptions, once });
+            if (!scrollTrigger) animation.play();
+        } else if (trigger === 'hover' || trigger === 'click') {
+            eventName = trigger === 'hover' ? 'mouseenter' : 'click';
+            targets.forEach(target => target.addEventListener(eventName, replay));
+        } else {
+            animation = run();
+        }
+
+        return () => {
+            if (eventName) removeListeners();
+            if (scrollTrigger) scrollTrigger.kill();
+            if (animation) this.killAnimation(animation);
+        };
+    }
+
+    /**
+     * Animate to a state while the pointer is over an element or it has focus, and back when it leaves.
+     * One tween is played and reversed, so quick hovering never stutters; touch taps are ignored.
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to bind
+     * @param {Object} vars - Hover state, e.g. { y: -10, scale: 1.05 }
+     * @param {Object} options - Options (duration, ease, focus: also react to keyboard focus, default true; essential)
+     * @returns {Function} - Unbind function that removes the listeners and resets the element
+     */
+    hover(element, vars, options = {}) {
+        const pointer = typeof window !== 'undefined' && 'PointerEvent' in window;
+
+        return this._bindInteraction(element, vars, options, (target, play, reverse) => {
+            const listeners = {
+                // Touch screens have no hover; a tap would leave the effect stuck on
+                [pointer ? 'pointerenter' : 'mouseenter']: event => {
+                    if (event.pointerType !== 'touch') play();
+                },
+                [pointer ? 'pointerleave' : 'mouseleave']: reverse
+            };
+            if (options.focus !== false) {
+                listeners.focusin = play;
+                listeners.focusout = event => {
+                    if (!target.contains(event.relatedTarget)) reverse();
+                };
+            }
+            return listeners;
+        });
+    }
+
+    /**
+     * Animate to a state while an element is pressed (pointer, touch, Enter or Space), and back on release
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to bind
+     * @param {Object} vars - Pressed state (defaults to { scale: 0.95 })
+     * @param {Object} options - Options (duration, ease, essential)
+     * @returns {Function} - Unbind function that removes the listeners and resets the element
+     */
+    press(element, vars = { scale: 0.95 }, options = {}) {
+        const pointer = typeof window !== 'undefined' && 'PointerEvent' in window;
+        const isKey = event => event.key === 'Enter' || event.key === ' ';
+
+        return this._bindInteraction(element, vars, options, (target, play, reverse) => {
+            const listeners = pointer
+                ? { pointerdown: play, pointerup: reverse, pointerleave: reverse, pointercancel: reverse }
+                : { mousedown: play, mouseup: reverse, mouseleave: reverse, touchstart: play, touchend: reverse, touchcancel: reverse };
+
+            listeners.keydown = event => {
+                if (isKey(event) && !event.repeat) play();
+            };
+            listeners.keyup = event => {
+                if (isKey(event)) reverse();
+            };
+            listeners.focusout = reverse;
+            return listeners;
+        });
+    }
+
+    /**
+     * Bind one paused, reversible tween per element to a set of DOM events
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to bind
+     * @param {Object} vars - State to animate to
+     * @param {Object} options - Options (duration, ease, essential)
+     * @param {Function} getListeners - (target, play, reverse) => { eventName: handler }
+     * @returns {Function} - Unbind function
+     */
+    _bindInteraction(element, vars, options, getListeners) {
+        const targets = this._resolveTargets(element, options.scope);
+        this._recordStyles(targets);
+
+        const cleanups = targets.map(target => {
+            const handle = this._track(gsap.to(target, {
+                ...vars,
+                ...this.resolveTokens({ duration: options.duration ?? 0.3, ease: options.ease ?? this.defaults.ease }),
+                paused: true
+            }));
+
+            // Reduced motion still shows the state change, just without the movement
+            const instant = () => this.reducedMotion && !options.essential;
+            const play = () => (instant() ? handle.pause().progress(1) : handle.play());
+            const reverse = () => (instant() ? handle.pause().progress(0) : handle.reverse());
+
+            const listeners = getListeners(target, play, reverse);
+            Object.keys(listeners).forEach(type => target.addEventListener(type, listeners[type]));
+
+            return () => {
+                Object.keys(listeners).forEach(type => target.removeEventListener(type, listeners[type]));
+                handle.pause().progress(0);
+                this.killAnimation(handle);
+            };
+        });
+
+        const context = this._context;
+        const unbind = () => {
+            cleanups.forEach(cleanup => cleanup());
+            cleanups.length = 0;
+            if (context) context._cleanups.delete(unbind);
+        };
+
+        if (context) context._cleanups.add(unbind);
+        return unbind;
+    }
+
+    /**
+     * Split elements' text into chars, words or lines, keeping nested inline elements.
+     * The original text moves to aria-label and the pieces are hidden from assistive tech.
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) whose text to split
+     * @param {Object} options - Split options (type: 'chars', 'words' or 'lines'; scope)
+     * @returns {{chars: HTMLElement[], words: HTMLElement[], lines: HTMLElement[], elements: HTMLElement[], revert: Function}}
+     *   - The pieces of every element, in order; elements holds the requested type
+     */
+    splitText(element, options = {}) {
+        const type = options.type || 'chars';
+        const splits = this._resolveTargets(element, options.scope).map(target => this._splitElement(target, type));
+        if (splits.length === 1) return splits[0];
+
+        const split = { chars: [], words: [], lines: [], elements: [] };
+        splits.forEach(piece => {
+            Object.keys(split).forEach(key => split[key].push(...piece[key]));
+        });
+        split.revert = () => splits.forEach(piece => piece.revert());
+        return split;
+    }
+
+    /**
+     * Split one element's text, replacing any earlier split of it
+     * @param {HTMLElement} element - Element whose text to split
+     * @param {string} type - 'chars', 'words' or 'lines'
+     * @returns {{chars: HTMLElement[], words: HTMLElement[], lines: HTMLElement[], elements: HTMLElement[], revert: Function}}
+     */
+    _splitElement(element, type) {
+        this.revertSplit(element);
+
+        const label = element.getAttribute('aria-label');
+        const replaced = [];
+        const split = { chars: [], words: [], lines: [] };
+
+        element.setAttribute('aria-label', label !== null ? label : element.textContent.replace(/\s+/g, ' ').trim());
+        this._splitWords(element, split, type === 'chars', replaced);
+        if (type === 'lines') split.lines = this._splitLines(element);
+        split.elements = split[type];
+
+        split.revert = () => {
+            split.lines.forEach(line => line.replaceWith(...line.childNodes));
+            replaced.forEach(({ original, nodes }) => {
+                nodes[0].before(original);
+                nodes.forEach(node => node.remove());
+            });
+            if (label === null) {
+                element.removeAttribute('aria-label');
+            } else {
+                element.setAttribute('aria-label', label);
+            }
+            if (this._splits.get(element) === split) this._splits.delete(element);
+        };
+
+        this._splits.set(element, split);
+        if (this._context) this._context._splits.add(split);
+        return split;
+    }
+
+    /**
+     * Put back the original text of an element split by splitText()
+     * @param {HTMLElement|string|NodeList|Array} element - Split element(s)
+     * @param {Object} [options] - scope: root for selector strings
+     */
+    revertSplit(element, options = {}) {
+        this._resolveTargets(element, options.scope).forEach(target => {
+            const split = this._splits.get(target);
+            if (split) split.revert();
+        });
+    }
+
+    /**
+     * Wrap every word (and optionally every character) of an element's text nodes in spans
+     * @param {Node} node - Node whose children to split
+     * @param {Object} split - Collects the created chars and words
+     * @param {boolean} chars - Whether to split words into characters
+     * @param {Array} replaced - Collects { original, nodes } for reverting
+     */
+    _splitWords(node, split, chars, replaced) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 1) {
+                this._splitWords(child, split, chars, replaced);
+                return;
+            }
+            if (child.nodeType !== 3 || !child.textContent.trim()) return;
+
+            const nodes = child.textContent.split(/(\s+)/).filter(Boolean).map(part => {
+                if (!part.trim()) return document.createTextNode(part);
+
+                const word = this._splitPiece('word');
+                if (chars) {
+                    Array.from(part).forEach(character => {
+                        const char = this._splitPiece('char');
+                        char.textContent = character;
+                        word.appendChild(char);
+                        split.chars.push(char);
+                    });
+                } else {
+                    word.textContent = part;
+                }
+                split.words.push(word);
+                return word;
+            });
+
+            child.replaceWith(...nodes);
+            replaced.push({ original: child, nodes });
+        });
+    }
+
+    /**
+     * Group an element's split words into line wrappers by their rendered position
+     * @param {HTMLElement} element - Element already split into words
+     * @returns {HTMLElement[]} - Line wrappers
+     */
+    _splitLines(element) {
+        const nodes = Array.from(element.childNodes);
+
+        // Measure everything before wrapping, since wrapping changes layout
+        const tops = nodes.map(node => {
+            if (node.nodeType !== 1) return null;
+            const word = node.classList.contains('gsap-word') ? node : node.querySelector('.gsap-word');
+            return word ? word.offsetTop : null;
+        });
+
+        const lines = [];
+        let line = null;
+        let top = null;
+
+        nodes.forEach((node, index) => {
+            if (!line || (tops[index] !== null && top !== null && tops[index] !== top)) {
+                line = this._splitPiece('line');
+                line.style.display = 'block';
+                node.before(line);
+                lines.push(line);
+            }
+            if (tops[index] !== null) top = tops[index];
+            line.appendChild(node);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Create one span for a split piece
+     * @param {string} type - 'char', 'word' or 'line'
+     * @returns {HTMLElement}
+     */
+    _splitPiece(type) {
+        const piece = document.createElement('span');
+        piece.className = `gsap-${type}`;
+        piece.style.display = 'inline-block';
+        piece.setAttribute('aria-hidden', 'true');
+        return piece;
+    }
+
+    /**
+     * Get the animations this instance is running
+     * @param {HTMLElement|string|NodeList|Array} [element] - Only animations that target any of these elements
+     * @param {Object} [options] - scope: root for selector strings
+     * @returns {AnimationHandle[]}
+     */
+    getAnimations(element, options = {}) {
+        const animations = [...this.activeAnimations, ...this.timelines.values()];
+        const targets = element ? this._resolveTargets(element, options.scope) : null;
+        return animations
+            .filter(animation => !targets || this._targetsOf(animation).some(target => targets.includes(target)))
+            .map(animation => this._handleFor(animation));
+    }
+
+    /**
+     * Kill this instance's animations and ScrollTriggers on the given elements,
+     * leaving other targets of shared tweens and timelines running
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to stop animating
+     * @param {Object} [options] - scope: root for selector strings
+     */
+    killAnimationsOf(element, options = {}) {
+        this._resolveTargets(element, options.scope).forEach(target => {
+            this.getAnimations(target).forEach(({ animation }) => this._releaseTarget(animation, target));
+
+            this.scrollTriggers.forEach(trigger => {
+                if (trigger.trigger === target) trigger.kill();
+            });
+        });
+    }
+
+    /**
+     * Stop one animation from animating one of its targets, leaving the others running
+     * @param {gsap.core.Tween|gsap.core.Timeline} animation - GSAP animation
+     * @param {HTMLElement} target - Element to release
+     */
+    _releaseTarget(animation, target) {
+        if (typeof animation.getChildren === 'function') {
+            animation.killTweensOf(target);
+        } else {
+            animation.kill(target);
+        }
+
+        // Tweens keep their full target list after a partial kill
+        if (!this._releasedTargets.has(animation)) {
+            this._releasedTargets.set(animation, new WeakSet());
+        }
+        this._releasedTargets.get(animation).add(target);
+    }
+
+    /**
+     * Kill every animation, named timeline and ScrollTrigger this instance created
+     */
+    killAll() {
+        this.activeAnimations.forEach(anim => anim.kill());
+        this.activeAnimations.clear();
+        this.timelines.forEach(timeline => timeline.kill());
+        this.timelines.clear();
+        this.scrollTriggers.forEach(trigger => trigger.kill());
+        this._pausedForMotion.clear();
+    }
+
+    /**
+     * Kill all animations and stop listening for reduced-motion changes
+     */
+    destroy() {
+        this._autoInits.forEach(controller => controller.destroy());
+        this.killAll();
+        this._timelineListeners.clear();
+        this.setReducedMotion(false);
+    }
+
+    /**
+     * Kill specific animations
+     * @param {AnimationHandle|gsap.core.Animation|Array|HTMLElement|string} animation - Handle or GSAP tween/timeline,
+     *   a list of them (e.g. from parallax() or getAnimations()), or elements whose animations to kill
+     */
+    killAnimation(animation) {
+        if (!animation) return;
+
+        if (this._isCollection(animation) && !(animation instanceof AnimationHandle)) {
+            Array.from(animation).forEach(item => this.killAnimation(item));
+        } else if (animation instanceof AnimationHandle || typeof animation.kill === 'function') {
+            const target = animation instanceof AnimationHandle ? animation.animation : animation;
+            target.kill();
+            this.activeAnimations.delete(target);
+        } else {
+            this.killAnimationsOf(animation);
+        }
+    }
+
+    /**
+     * Reset elements to their initial state
+     * @param {HTMLElement|string|NodeList|Array} element - Element(s) to reset
+     * @param {Object} [options] - scope: root for selector strings
+     */
+    resetElement(element, options = {}) {
+        const targets = this._resolveTargets(element, options.scope);
+        if (targets.length) gsap.set(targets, { clearProps: 'x,y,scale,rotation,opacity,transform' });
+    }
+}
+
+/**
+ * Awaitable handle around a GSAP tween or timeline.
+ * Resolves with { status, handle } where status is 'completed', 'reversed' or 'killed'.
+ */
+class AnimationHandle {
+    /**
+     * @param {gsap.core.Tween|gsap.core.Timeline} animation - Animation to wrap
+     * @param {Object} hooks - Optional onSettle(status) and onRun() callbacks
+     */
+    constructor(animation, hooks = {}) {
+        this.animation = animation;
+        this.status = 'running';
+        this._hooks = hooks;
+        this._reset();
+
+        this._chainCallback('onComplete', () => this._settle('completed'));
+        this._chainCallback('onReverseComplete', () => this._settle('reversed'));
+
+        // GSAP has no kill event, so watch the instance's kill() (killTweensOf and overwrites call it too)
+        const kill = animation.kill;
+        animation.kill = (...args) => {
+            const result = kill.apply(animation, args);
+            if (!animation.parent) this._settle('killed');
+            return result;
+        };
+
+        // Zero-duration and fast-forwarded animations have already finished
+        if (animation.totalProgress() === 1 && !animation.paused()) {
+            this._settle('completed');
+        }
+    }
+
+    /**
+     * Run an extra callback after any callback already set on the animation
+     * @param {string} type - GSAP callback name
+     * @param {Function} after - Callback to add
+     */
+    _chainCallback(type, after) {
+        const animation = this.animation;
+        const original = animation.eventCallback(type);
+        const params = animation.vars[`${type}Params`];
+
+        animation.eventCallback(type, function () {
+            if (original) original.apply(this, arguments);
+            after();
+        }, params);
+    }
+
+    /**
+     * Start a new pending promise
+     */
+    _reset() {
+        this._settled = false;
+        this._promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    /**
+     * Resolve the current promise once
+     * @param {string} status - 'completed', 'reversed' or 'killed'
+     */
+    _settle(status) {
+        this.status = status;
+        if (this._settled) return;
+        this._settled = true;
+        if (this._hooks.onSettle) this._hooks.onSettle(status);
+        this._resolve({ status, handle: this });
+    }
+
+    /**
+     * Begin a new run, so awaiting waits for it rather than a previous one
+     */
+    _rearm() {
+        if (this._settled && this.status !== 'killed') {
+            this.status = 'running';
+            this._reset();
+            if (this._hooks.onRun) this._hooks.onRun();
+        }
+    }
+
+    then(onFulfilled, onRejected) {
+        return this._promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this._promise.catch(onRejected);
+    }
+
+    finally(onFinally) {
+        return this._promise.finally(onFinally);
+    }
+
+    /**
+     * Play forwards
+     * @returns {AnimationHandle}
+     */
+    play(...args) {
+        this._rearm();
+        this.animation.play(...args);
+        return this;
+    }
+
+    /**
+     * Pause at the current position
+     * @returns {AnimationHandle}
+     */
+    pause(...args) {
+        this.animation.pause(...args);
+        return this;
+    }
+
+    /**
+     * Resume in the current direction
+     * @returns {AnimationHandle}
+     */
+    resume() {
+        this._rearm();
+        this.animation.resume();
+        return this;
+    }
+
+    /**
+     * Play backwards to the start
+     * @returns {AnimationHandle}
+     */
+    reverse(...args) {
+        this._rearm();
+        this.animation.reverse(...args);
+        return this;
+    }
+
+    /**
+     * Restart from the beginning
+     * @returns {AnimationHandle}
+     */
+    restart(...args) {
+        this._rearm();
+        this.animation.restart(...args);
+        return this;
+    }
+
+    /**
+     * Kill the animation, resolving with status 'killed'
+     * @returns {AnimationHandle}
+     */
+    kill() {
+        this.animation.kill();
+        this._settle('killed');
+        return this;
+    }
+
+    /**
+     * Get or set progress (0-1)
+     * @param {number} [value] - New progress
+     * @returns {number|AnimationHandle}
+     */
+    progress(value) {
+        if (value === undefined) return this.animation.progress();
+        this.animation.progress(value);
+        return this;
+    }
+
+    /**
+     * Get or set the playback speed
+     * @param {number} [value] - New time scale
+     * @returns {number|AnimationHandle}
+     */
+    timeScale(value) {
+        if (value === undefined) return this.animation.timeScale();
+        this.animation.timeScale(value);
+        return this;
+    }
+
+    /**
+     * Whether the animation is currently running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.animation.isActive();
+    }
+
+    /**
+     * Whether the animation is paused
+     * @returns {boolean}
+     */
+    paused() {
+        return this.animation.paused();
+    }
+
+    /**
+     * Total duration in seconds
+     * @returns {number}
+     */
+    duration() {
+        return this.animation.duration();
+    }
+}
+
+GSAPAnimationLibrary.AnimationHandle = AnimationHandle;
+
+/**
+ * Records the animations, timelines, ScrollTriggers and set() calls made through
+ * a library instance, so a component can undo all of them when it unmounts.
+ */
+class AnimationContext {
+    /**
+     * @param {GSAPAnimationLibrary} lib - Library instance
+     * @param {HTMLElement} root - Root element for selector strings
+     */
+    constructor(lib, root) {
+        this.lib = lib;
+        this.root = root || null;
+        this.animations = new Set();
+        this.timelines = new Map();
+        this.scrollTriggers = new Set();
+        this._styles = new Map();
+        this._splits = new Set();
+        this._cleanups = new Set();
+    }
+
+    /**
+     * Run more code inside this context, e.g. from an event handler
+     * @param {Function} fn - Receives the context
+     * @returns {*} - The function's return value
+     */
+    add(fn) {
+        return this.lib._runInContext(this, fn);
+    }
+
+    /**
+     * Remember an element's inline style the first time the context touches it
+     * @param {HTMLElement} element - Element about to change
+     */
+    _recordStyle(element) {
+        if (!element || typeof element.getAttribute !== 'function' || this._styles.has(element)) return;
+        this._styles.set(element, element.getAttribute('style'));
+    }
+
+    /**
+     * Kill everything recorded, without touching styles
+     */
+    kill() {
+        this.animations.forEach(animation => this.lib.killAnimation(animation));
+        this.animations.clear();
+
+        this.timelines.forEach((timeline, name) => {
+            timeline.kill();
+            if (this.lib.timelines.get(name) === timeline) this.lib.timelines.delete(name);
+        });
+        this.timelines.clear();
+
+        this.scrollTriggers.forEach(trigger => trigger.kill());
+        this.scrollTriggers.clear();
+
+        // Interaction bindings remove their listeners
+        this._cleanups.forEach(cleanup => cleanup());
+        this._cleanups.clear();
+    }
+
+    /**
+     * Kill everything recorded and restore the inline styles it overwrote
+     */
+    revert() {
+        // Timelines built with raw .to() calls undo their own changes where GSAP supports it
+        this.timelines.forEach(timeline => {
+            if (typeof timeline.revert === 'function') timeline.revert();
+        });
+        this.kill();
+
+        this._splits.forEach(split => split.revert());
+        this._splits.clear();
+
+        this._styles.forEach((style, element) => {
+            // Clear GSAP's cached transforms before putting the original style back
+            gsap.set(element, { clearProps: 'all' });
+            if (style === null) {
+                element.removeAttribute('style');
+            } else {
+                element.setAttribute('style', style);
+            }
+        });
+        this._styles.clear();
+    }
+}
+
+GSAPAnimationLibrary.AnimationContext = AnimationContext;
+
+/**
+ * Built-in presets, copied into every instance's registry
+ * @type {Object<string, Object>}
+ */
+GSAPAnimationLibrary.builtInPresets = {
+    fadeIn: {
+        from: { opacity: 0 },
+        to: { opacity: 1 },
+        inverse: 'fadeOut'
+    },
+    fadeOut: {
+        to: { opacity: 0 },
+        inverse: 'fadeIn'
+    },
+    slide: {
+        params: ['side', 'distance'],
+        defaults: { side: 'bottom' },
+        from: options => ({ ...GSAPAnimationLibrary.slideOffset(options.side, options.distance), opacity: 0 }),
+        to: options => ({ ...GSAPAnimationLibrary.slideOffset(options.side, options.distance, true), opacity: 1 }),
+        inverse: 'slideOut'
+    },
+    slideOut: {
+        // Leaves towards `side`, back the way a slide() with the same options came in
+        params: ['side', 'distance'],
+        defaults: { side: 'bottom' },
+        to: options => ({ ...GSAPAnimationLibrary.slideOffset(options.side, options.distance), opacity: 0 }),
+        inverse: 'slide'
+    },
+    scaleUp: {
+        from: { scale: 0, opacity: 0 },
+        to: { scale: 1, opacity: 1 },
+        defaults: { ease: 'back.out(1.7)' },
+        inverse: 'scaleDown'
+    },
+    scaleDown: {
+        to: { scale: 0, opacity: 0 },
+        defaults: { ease: 'back.in(1.7)' },
+        inverse: 'scaleUp'
+    },
+    rotateIn: {
+        from: { rotation: -180, scale: 0, opacity: 0 },
+        to: { rotation: 0, scale: 1, opacity: 1 },
+        defaults: { ease: 'back.out(1.7)' },
+        inverse: 'rotateOut'
+    },
+    rotateOut: {
+        to: { rotation: 180, scale: 0, opacity: 0 },
+        defaults: { ease: 'back.in(1.7)' },
+        inverse: 'rotateIn'
+    },
+    bounceIn: {
+        from: { y: -100, opacity: 0 },
+        to: { y: 0, opacity: 1 },
+        defaults: { ease: 'bounce.out', duration: 1.5 }
+    },
+    elastic: {
+        from: { scale: 0, opacity: 0 },
+        to: { scale: 1, opacity: 1 },
+        defaults: { ease: 'elastic.out(1, 0.5)', duration: 1.5 }
+    },
+    flip: {
+        to: { rotationY: 360 },
+        defaults: { duration: 1 },
+        reducedMotion: 'skip'
+    },
+    shake: {
+        params: ['intensity'],
+        // duration covers all five moves
+        defaults: { duration: 0.5 },
+        build: (element, options) => {
+            const tl = gsap.timeline({ delay: options.delay ?? 0 });
+            const intensity = options.intensity ?? 10;
+            const step = { duration: options.duration / 5, ease: options.ease };
+
+            tl.to(element, { ...step, x: -intensity })
+              .to(element, { ...step, x: intensity })
+              .to(element, { ...step, x: -intensity })
+              .to(element, { ...step, x: intensity })
+              .to(element, { ...step, x: 0 });
+
+            return tl;
+        }
+    },
+    pulse: {
+        // duration is one grow-and-shrink; repeat adds more
+        defaults: { duration: 0.6, repeat: 2 },
+        build: (element, options) => {
+            const tl = gsap.timeline({ repeat: options.repeat, delay: options.delay ?? 0 });
+            const step = { duration: options.duration / 2, ease: options.ease };
+
+            tl.to(element, { ...step, scale: 1.1 })
+              .to(element, { ...step, scale: 1 });
+            return tl;
+        }
+    },
+    splitReveal: {
+        params: ['split', 'preset', 'revert'],
+        defaults: { split: 'words', preset: 'slideUp', stagger: 0.05, duration: 0.6 },
+        build: (element, options, lib) => {
+            const { split, preset, revert, delay, ...pieceOptions } = options;
+            const tl = gsap.timeline({ delay: delay ?? 0 });
+            const targets = gsap.utils.toArray(element);
+
+            // Callbacks belong to the whole reveal, not to each piece
+            GSAPAnimationLibrary.callbackOptions.forEach(type => {
+                delete pieceOptions[type];
+                delete pieceOptions[`${type}Params`];
+            });
+
+            targets.forEach(target => {
+                const pieces = lib.splitText(target, { type: split }).elements;
+                tl.add(lib.stagger(preset, pieces, pieceOptions).animation, 0);
+            });
+
+            if (revert) tl.call(() => lib.revertSplit(targets));
+            return tl;
+        }
+    },
+    typewriter: {
+        params: ['speed', 'revert'],
+        // Typing speed applies unless a total duration is passed
+        defaults: { speed: 0.05, duration: null },
+        build: (element, options, lib) => {
+            const tl = gsap.timeline({ delay: options.delay ?? 0 });
+            const targets = gsap.utils.toArray(element);
+
+            targets.forEach(target => {
+                const { chars } = lib.splitText(target, { type: 'chars' });
+                const speed = options.duration != null ? options.duration / chars.length : options.speed;
+
+                // Hidden characters keep their space, so the text doesn't reflow as it types
+                gsap.set(chars, { visibility: 'hidden' });
+                tl.to(chars, { visibility: 'visible', duration: 0, stagger: speed }, 0);
+            });
+
+            if (options.revert) tl.call(() => lib.revertSplit(targets));
+            return tl;
+        }
+    },
+    scramble: {
+        params: ['characters', 'revert'],
+        defaults: {
+            duration: 0.8,
+            stagger: 0.03,
+            characters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+        },
+        build: (element, options, lib) => {
+            const tl = gsap.timeline({ delay: options.delay ?? 0 });
+            const targets = gsap.utils.toArray(element);
+            const randomCharacter = () => options.characters.charAt(Math.floor(Math.random() * options.characters.length));
+
+            targets.forEach(target => {
+                lib.splitText(target, { type: 'chars' }).chars.forEach((char, index) => {
+                    const original = char.textContent;
+                    const state = { progress: 0 };
+
+                    tl.to(state, {
+                        progress: 1,
+                        duration: options.duration,
+                        ease: 'none',
+                        onUpdate: () => {
+                            char.textContent = state.progress > 0 && state.progress < 1 ? randomCharacter() : original;
+                        }
+                    }, index * options.stagger);
+                });
+            });
+
+            if (options.revert) tl.call(() => lib.revertSplit(targets));
+            return tl;
+        }
+    },
+    countUp: {
+        params: ['from', 'to', 'decimals', 'format', 'locale', 'prefix', 'suffix'],
+        defaults: { duration: 2 },
+        // The final number is the content, so reduced motion jumps straight to it
+        reducedMotion: 'instant',
+        build: (element, options) => {
+            const tl = gsap.timeline({ delay: options.delay ?? 0 });
+
+            gsap.utils.toArray(element).forEach(target => {
+                const readNumber = value => parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+                const text = target.dataset.target ?? target.textContent;
+                const to = options.to ?? readNumber(text);
+                const from = options.from ?? (target.dataset.from !== undefined ? readNumber(target.dataset.from) : 0);
+
+                // Decimals follow the target as written ("99.90" counts with two) unless set
+                const format = options.format || {};
+                const written = String(options.to ?? text).split('.')[1];
+                const decimals = options.decimals !== undefined
+                    ? options.decimals
+                    : (written ? written.replace(/[^0-9]/g, '').length : 0);
+                const digits = options.decimals === undefined
+                    && (format.minimumFractionDigits !== undefined || format.maximumFractionDigits !== undefined)
+                    ? {}
+                    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+                const formatter = new Intl.NumberFormat(options.locale, { ...digits, ...format });
+                const render = value => `${options.prefix ?? ''}${formatter.format(value)}${options.suffix ?? ''}`;
+
+                // Screen readers get the final value once, not every frame
+                const counter = { value: from };
+                target.setAttribute('aria-label', render(to));
+                target.textContent = render(from);
+
+                tl.to(counter, {
+                    value: to,
+                    duration: options.duration,
+                    ease: options.ease,
+                    onStart: () => target.setAttribute('aria-busy', 'true'),
+                    onUpdate: () => {
+                        target.textContent = render(counter.value);
+                    },
+                    onComplete: () => target.removeAttribute('aria-busy')
+                }, 0);
+            });
+
+            return tl;
+        }
+    }
+};
+
+// slideUp, slideDown, slideLeft and slideRight are slide() from a fixed side, so their inverse leaves the same way
+Object.entries({ slideUp: 'bottom', slideDown: 'top', slideLeft: 'right', slideRight: 'left' }).forEach(([name, side]) => {
+    GSAPAnimationLibrary.builtInPresets[name] = { ...GSAPAnimationLibrary.builtInPresets.slide, defaults: { side } };
+});
+
+/**
+ * Options that belong to the wrapper timeline when staggering multi-step presets
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.timelineOptions = [
+    'delay', 'repeat', 'repeatDelay', 'yoyo', 'paused',
+    'onStart', 'onStartParams', 'onUpdate', 'onUpdateParams',
+    'onComplete', 'onCompleteParams', 'onRepeat', 'onRepeatParams',
+    'onReverseComplete', 'onReverseCompleteParams'
+];
+
+/**
+ * Callback options applied to animations built by multi-step presets
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.callbackOptions = ['onStart', 'onUpdate', 'onComplete', 'onRepeat', 'onReverseComplete'];
+
+/**
+ * Instance defaults, overridden by the constructor's defaults option
+ * @type {Object}
+ */
+GSAPAnimationLibrary.defaults = {
+    duration: 1,
+    ease: 'power2.out',
+    delay: 0,
+    stagger: 0.2,
+    distance: 100,
+    intensity: 10
+};
+
+/**
+ * Built-in motion tokens; the constructor's tokens option adds to or overrides each group
+ * @type {{durations: Object<string, number>, eases: Object<string, string>, distances: Object<string, number>}}
+ */
+GSAPAnimationLibrary.tokens = {
+    durations: { instant: 0, fast: 0.3, normal: 0.6, slow: 1.2 },
+    eases: { standard: 'power2.inOut', enter: 'power2.out', exit: 'power2.in', bounce: 'back.out(1.7)' },
+    distances: { sm: 20, md: 50, lg: 100 }
+};
+
+/**
+ * Transform values that place an element `distance` away on the given side(s)
+ * @param {string} direction - 'top', 'bottom', 'left', 'right', 'start' or 'end' (RTL-aware),
+ *   or two joined with a dash, e.g. 'bottom-left'
+ * @param {number|string} [distance=100] - Pixels, a CSS length ('50vw', '2rem'), a percentage of the
+ *   element's own size ('100%') or 'offscreen' to start just outside the viewport
+ * @param {boolean} [rest=false] - Return the resting values (0) for the same properties instead
+ * @returns {Object} - GSAP vars for x/y or xPercent/yPercent
+ */
+GSAPAnimationLibrary.slideOffset = function (direction, distance = 100, rest = false) {
+    const sides = { top: ['y', -1], bottom: ['y', 1], left: ['x', -1], right: ['x', 1], start: ['x', -1], end: ['x', 1] };
+    const parts = String(direction).split('-');
+    const vars = {};
+
+    if (parts.length > 2 || parts.some(part => !sides[part])) {
+        throw new Error(`Unknown slide direction "${direction}". Use top, bottom, left, right, start or end, or two joined with a dash such as "bottom-left".`);
+    }
+
+    const match = typeof distance === 'string' && distance !== 'offscreen'
+        ? distance.trim().match(/^(-?[\d.]+)([a-z%]*)$/i)
+        : null;
+    if (typeof distance === 'string' && distance !== 'offscreen' && !match) {
+        throw new Error(`Invalid slide distance "${distance}". Use a number, a CSS length such as "50vw", a percentage or "offscreen".`);
+    }
+
+    // Percentages are of the element's own size, which GSAP handles as xPercent/yPercent
+    const percent = match && match[2] === '%';
+
+    parts.forEach(part => {
+        const [axis, side] = sides[part];
+        const key = percent ? `${axis}Percent` : axis;
+
+        if (rest) {
+            vars[key] = 0;
+            return;
+        }
+
+        // start and end flip in right-to-left layouts, so they are resolved per element
+        const logical = part === 'start' || part === 'end';
+        const sign = target => (logical && getComputedStyle(target).direction === 'rtl' ? -side : side);
+
+        const offset = (target, amount) => {
+            if (distance === 'offscreen') {
+                const rect = target.getBoundingClientRect();
+                const towards = sign(target);
+                if (axis === 'x') return towards > 0 ? window.innerWidth - rect.left : -rect.right;
+                return towards > 0 ? window.innerHeight - rect.top : -rect.bottom;
+            }
+            return sign(target) * amount;
+        };
+
+        if (distance === 'offscreen') {
+            vars[key] = (index, target) => offset(target);
+        } else if (match) {
+            const amount = parseFloat(match[1]);
+            const unit = percent ? '' : match[2];
+            vars[key] = logical
+                ? (index, target) => `${offset(target, amount)}${unit}`
+                : `${side * amount}${unit}`;
+        } else {
+            vars[key] = logical ? (index, target) => offset(target, distance) : side * distance;
+        }
+    });
+
+    return vars;
+};
+
+/**
+ * Options that resolve token names, by token group
+ * @type {{durations: string[], eases: string[], distances: string[]}}
+ */
+GSAPAnimationLibrary.tokenOptions = {
+    durations: ['duration', 'delay', 'repeatDelay', 'stagger', 'speed'],
+    eases: ['ease'],
+    distances: ['distance', 'intensity']
+};
+
+/**
+ * data-gsap-* options that configure the ScrollTrigger rather than the preset
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.scrollOptions = ['start', 'end', 'once', 'markers', 'scrub'];
+
+/**
+ * Convert an attribute string (data-gsap-*, <gsap-animate> attributes) to a number or boolean where possible
+ * @param {string} value - Attribute value
+ * @returns {string|number|boolean}
+ */
+GSAPAnimationLibrary.parseOptionValue = function (value) {
+    if (value === 'true' || value === '') return true;
+    if (value === 'false') return false;
+    if (value.trim() !== '' && !isNaN(value)) return parseFloat(value);
+    return value;
+};
+
+/**
+ * Split options into preset options and ScrollTrigger options (see scrollOptions)
+ * @param {Object} options - Options as written on the element, hook or directive
+ * @returns {{presetOptions: Object, triggerOptions: Object}}
+ */
+GSAPAnimationLibrary.splitScrollOptions = function (options) {
+    const presetOptions = {};
+    const triggerOptions = {};
+    Object.keys(options).forEach(key => {
+        if (GSAPAnimationLibrary.scrollOptions.includes(key)) {
+            triggerOptions[key] = options[key];
+        } else {
+            presetOptions[key] = options[key];
+        }
+    });
+    return { presetOptions, triggerOptions };
+};
+
+/**
+ * Option names debug mode accepts on preset calls, besides CSS properties and preset params
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.animationOptions = [
+    'duration', 'ease', 'delay', 'stagger', 'essential', 'scope', 'repeat', 'repeatDelay', 'yoyo', 'yoyoEase', 'paused',
+    'overwrite', 'immediateRender', 'lazy', 'inherit', 'id', 'data', 'callbackScope', 'runBackwards', 'startAt',
+    'keyframes', 'onInterrupt', 'onInterruptParams', ...GSAPAnimationLibrary.timelineOptions,
+    'x', 'y', 'z', 'xPercent', 'yPercent', 'rotation', 'rotationX', 'rotationY', 'rotationZ', 'rotate',
+    'scale', 'scaleX', 'scaleY', 'skewX', 'skewY', 'transformOrigin', 'svgOrigin', 'force3D', 'autoAlpha',
+    'clearProps', 'attr', 'css', 'modifiers', 'snap', 'text', 'scrollTo', 'motionPath', 'drawSVG', 'morphSVG'
+];
+
+/**
+ * ScrollTrigger option names debug mode accepts on scrollTrigger()
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.scrollTriggerOptions = [
+    'trigger', 'start', 'end', 'endTrigger', 'scroller', 'horizontal', 'markers', 'once', 'scrub', 'snap',
+    'toggleActions', 'toggleClass', 'pin', 'pinSpacing', 'pinReparent', 'pinnedContainer', 'pinType',
+    'anticipatePin', 'invalidateOnRefresh', 'fastScrollEnd', 'preventOverlaps', 'refreshPriority',
+    'containerAnimation', 'id', 'onEnter', 'onLeave', 'onEnterBack', 'onLeaveBack', 'onToggle',
+    'onUpdate', 'onRefresh', 'onScrubComplete', 'onSnapComplete', 'onRefreshInit', 'animation'
+];
+
+/**
+ * Ease names debug mode suggests when an ease is misspelled
+ * @type {string[]}
+ */
+GSAPAnimationLibrary.easeNames = ['none', 'linear', 'steps'].concat(
+    ...['power1', 'power2', 'power3', 'power4', 'back', 'bounce', 'circ', 'elastic', 'expo', 'sine']
+        .map(ease => [ease, `${ease}.in`, `${ease}.out`, `${ease}.inOut`])
+);
 
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
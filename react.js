@@ -0,0 +1,193 @@
+/**
+ * GSAP Animation Library - React bindings
+ * Hooks and an <Animate> component built on the library's presets,
+ * with automatic cleanup on unmount
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // CommonJS
+        module.exports = factory(require('react'), require('./gsap-animation-library'));
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['react', './gsap-animation-library'], factory);
+    } else {
+        // Browser global
+        root.GSAPAnimationReact = factory(root.React, root.GSAPAnimationLibrary);
+    }
+})(typeof window !== 'undefined' ? window : this, function (React, GSAPAnimationLibrary) {
+    const { createContext, createElement, useContext, useEffect, useLayoutEffect, useRef } = React;
+
+    // Layout effects apply start states before paint; fall back to useEffect on the server
+    const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+    const LibraryContext = createContext(null);
+    let sharedLibrary = null;
+
+    /**
+     * Provide a library instance to the hooks and <Animate> components below it
+     * @param {Object} props - Component props
+     * @param {GSAPAnimationLibrary} [props.library] - Instance to share
+     * @param {Object} [props.options] - Constructor options, used when no library is passed
+     * @returns {React.ReactElement}
+     */
+    function GSAPAnimationProvider({ library, options, children }) {
+        const libraryRef = useRef(library || null);
+        if (!libraryRef.current) {
+            libraryRef.current = new GSAPAnimationLibrary(options);
+        }
+        return createElement(LibraryContext.Provider, { value: library || libraryRef.current }, children);
+    }
+
+    /**
+     * Get the library instance from the nearest provider, or a shared default instance
+     * @returns {GSAPAnimationLibrary}
+     */
+    function useGsapLibrary() {
+        const library = useContext(LibraryContext);
+        if (library) return library;
+        if (!sharedLibrary) sharedLibrary = new GSAPAnimationLibrary();
+        return sharedLibrary;
+    }
+
+    /**
+     * Resolve a ref to an array of elements, or an array of refs, to elements
+     * @param {Object|Array} refs - Ref whose current is an array, or an array of refs/elements
+     * @returns {HTMLElement[]}
+     */
+    function resolveElements(refs) {
+        const list = Array.isArray(refs) ? refs : (refs && refs.current) || [];
+        return Array.from(list)
+            .map(item => (item && 'current' in item ? item.current : item))
+            .filter(Boolean);
+    }
+
+    /**
+     * Run a preset on a trigger, inside a context that is reverted on cleanup.
+     * StrictMode mounts effects twice; the revert between them restores the
+     * original styles, so the second run starts from a clean element.
+     * @param {Object} ref - Ref to the trigger element
+     * @param {string} trigger - 'load', 'scroll', 'hover' or 'click'
+     * @param {Function} run - (lib, element) => AnimationHandle
+     * @param {Object} triggerOptions - ScrollTrigger options for 'scroll'
+     * @param {Array} deps - Extra effect dependencies
+     * @returns {Object} - Ref whose current is the latest animation handle
+     */
+    function useTriggeredAnimation(ref, trigger, run, triggerOptions, deps) {
+        const lib = useGsapLibrary();
+        const handleRef = useRef(null);
+        const runRef = useRef(run);
+        runRef.current = run;
+
+        useIsomorphicLayoutEffect(() => {
+            const element = ref.current;
+            if (!element) return undefined;
+
+            const ctx = lib.context(element);
+            const unbind = lib.bindTrigger(element, trigger, () => ctx.add(() => {
+                handleRef.current = runRef.current(lib, element);
+                return handleRef.current;
+            }), triggerOptions);
+
+            return () => {
+                unbind();
+                ctx.revert();
+                handleRef.current = null;
+            };
+        }, [lib, trigger, ...deps]);
+
+        return handleRef;
+    }
+
+    /**
+     * Play a preset on an element when the component mounts
+     * @param {Object} ref - Ref to the element
+     * @param {string} preset - Preset name
+     * @param {Object} options - Preset options
+     * @param {Array} deps - Replay when these change
+     * @returns {Object} - Ref whose current is the animation handle
+     */
+    function useGsapPreset(ref, preset, options = {}, deps = []) {
+        return useTriggeredAnimation(ref, 'load', (lib, element) => {
+            return lib.play(preset, element, options);
+        }, {}, [preset, ...deps]);
+    }
+
+    /**
+     * Stagger a preset across several elements when the component mounts
+     * @param {Object|Array} refs - Ref whose current is an array of elements, or an array of refs
+     * @param {string} preset - Preset name
+     * @param {Object} options - Preset and stagger options
+     * @param {Array} deps - Replay when these change
+     * @returns {Object} - Ref whose current is the animation handle
+     */
+    function useStagger(refs, preset, options = {}, deps = []) {
+        const lib = useGsapLibrary();
+        const handleRef = useRef(null);
+
+        useIsomorphicLayoutEffect(() => {
+            const elements = resolveElements(refs);
+            if (!elements.length) return undefined;
+
+            const ctx = lib.context(null, () => {
+                handleRef.current = lib.stagger(preset, elements, options);
+            });
+
+            return () => {
+                ctx.revert();
+                handleRef.current = null;
+            };
+        }, [lib, preset, ...deps]);
+
+        return handleRef;
+    }
+
+    /**
+     * Play a preset when an element scrolls into view
+     * @param {Object} ref - Ref to the element
+     * @param {string} preset - Preset name
+     * @param {Object} options - Preset options plus ScrollTrigger start, end, once, markers
+     * @param {Array} deps - Rebind when these change
+     * @returns {Object} - Ref whose current is the animation handle
+     */
+    function useScrollReveal(ref, preset, options = {}, deps = []) {
+        const { presetOptions, triggerOptions } = GSAPAnimationLibrary.splitScrollOptions(options);
+        return useTriggeredAnimation(ref, 'scroll', (lib, element) => {
+            return lib.play(preset, element, presetOptions);
+        }, triggerOptions, [preset, ...deps]);
+    }
+
+    const TRIGGERS = { mount: 'load', visible: 'scroll', hover: 'hover', click: 'click' };
+
+    /**
+     * Wrap children in an element that plays a preset
+     * @param {Object} props - Component props
+     * @param {string} props.preset - Preset name
+     * @param {string} [props.on='mount'] - 'mount', 'visible', 'hover' or 'click'
+     * @param {Object} [props.options] - Preset options (plus ScrollTrigger options for 'visible')
+     * @param {string} [props.as='div'] - Wrapper element type
+     * @returns {React.ReactElement}
+     */
+    function Animate({ preset, on = 'mount', options = {}, as = 'div', children, ...rest }) {
+        const ref = useRef(null);
+        const { presetOptions, triggerOptions } = GSAPAnimationLibrary.splitScrollOptions(options);
+
+        useTriggeredAnimation(ref, TRIGGERS[on] || 'load', (lib, element) => {
+            return lib.play(preset, element, presetOptions);
+        }, triggerOptions, [preset]);
+
+        return createElement(as, { ...rest, ref }, children);
+    }
+
+    return {
+        GSAPAnimationProvider,
+        useGsapLibrary,
+        useGsapPreset,
+        useStagger,
+        useScrollReveal,
+        Animate
+    };
+});
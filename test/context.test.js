@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('context().revert() kills its animations and restores inline styles', () => {
+    document.body.innerHTML = '<section id="panel"><p class="line" style="color: red;">a</p><p class="line">b</p></section>';
+    const [styled, plain] = document.querySelectorAll('.line');
+    const lib = new GSAPAnimationLibrary();
+
+    const ctx = lib.context('#panel', () => {
+        lib.staggerSlideUp('.line', { duration: 10 });
+        lib.set('.line', { rotation: 5 });
+    });
+    assert.notStrictEqual(styled.style.transform, '');
+
+    ctx.revert();
+    assert.strictEqual(lib.getAnimations().length, 0);
+    assert.deepStrictEqual(gsap.getTweensOf('.line'), []);
+    assert.strictEqual(styled.getAttribute('style'), 'color: red;');
+    assert.strictEqual(plain.getAttribute('style'), null);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { GSAPAnimationLibrary } = require('./support/dom');
+
+test('stagger calls report under the method that was called', () => {
+    document.body.innerHTML = '';
+    const lib = new GSAPAnimationLibrary({ debug: 'strict' });
+
+    assert.throws(() => lib.staggerFadeIn([]), /^Error: staggerFadeIn\(\[0 targets\]\):/);
+    assert.throws(() => lib.stagger('fadeIn', []), /^Error: stagger\("fadeIn", \[0 targets\]\):/);
+    assert.throws(() => lib.stagger('shake', []), /^Error: stagger\("shake", \[0 targets\]\):/);
+});
+
+test('a stagger call is reported once', t => {
+    document.body.innerHTML = '';
+    const group = t.mock.method(console, 'groupCollapsed', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'groupEnd', () => {});
+    const lib = new GSAPAnimationLibrary({ debug: true });
+
+    lib.staggerSlideUp('.missing', { durration: 1 });
+    assert.deepStrictEqual(group.mock.calls.map(call => call.arguments[0]),
+        ['GSAPAnimationLibrary: staggerSlideUp(".missing") (2 problems)']);
+});
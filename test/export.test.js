@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('a from() tween survives export and load', () => {
+    document.body.innerHTML = '<div id="box"></div>';
+    const box = document.getElementById('box');
+    gsap.set(box, { x: 20 });
+
+    const lib = new GSAPAnimationLibrary();
+    const timeline = lib.createTimeline('intro', { paused: true });
+    timeline.from(box, { x: 100, opacity: 0, duration: 1 });
+    timeline.progress(0.5);
+
+    const spec = lib.export('intro');
+    const [step] = spec.timelines.intro.steps;
+    assert.deepStrictEqual(step.from, { x: 100, opacity: 0 });
+    assert.strictEqual(step.to.x, 20);
+    assert.strictEqual(step.to.opacity, 1);
+    assert.strictEqual(step.to.duration, 1);
+
+    timeline.kill();
+    lib.load(spec);
+    const loaded = lib.getTimeline('intro');
+    loaded.progress(0);
+    assert.strictEqual(gsap.getProperty(box, 'x'), 100);
+    assert.strictEqual(gsap.getProperty(box, 'opacity'), 0);
+    loaded.progress(1);
+    assert.strictEqual(gsap.getProperty(box, 'x'), 20);
+    assert.strictEqual(gsap.getProperty(box, 'opacity'), 1);
+    assert.strictEqual(loaded.duration(), 1);
+});
+
+test('preset steps keep to and from as preset options', () => {
+    document.body.innerHTML = '<div id="panel"></div><span id="count" data-target="100">0</span>';
+    const panel = document.getElementById('panel');
+    const count = document.getElementById('count');
+
+    const lib = new GSAPAnimationLibrary();
+    const timeline = lib.sequence('options', [
+        { preset: 'slide', target: '#panel', side: 'left', duration: 1 },
+        { preset: 'countUp', target: '#count', from: 10, to: 500, duration: 1 }
+    ]);
+    timeline.progress(0);
+    assert.strictEqual(gsap.getProperty(panel, 'x'), -100);
+    assert.strictEqual(gsap.getProperty(panel, 'y'), 0);
+    timeline.progress(1);
+    assert.strictEqual(count.textContent, '500');
+
+    const spec = lib.export('options');
+    assert.deepStrictEqual(spec.timelines.options.steps[0], {
+        preset: 'slide', target: '#panel', options: { side: 'left', duration: 1 }
+    });
+    assert.deepStrictEqual(lib.validateSpec(spec), []);
+
+    lib.load(spec);
+    const loaded = lib.getTimeline('options');
+    loaded.progress(0);
+    assert.strictEqual(gsap.getProperty(panel, 'x'), -100);
+    loaded.progress(1);
+    assert.strictEqual(count.textContent, '500');
+});
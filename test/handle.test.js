@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('a handle resolves with completed once its animation ends', async () => {
+    document.body.innerHTML = '<div id="box"></div>';
+    const lib = new GSAPAnimationLibrary();
+
+    const handle = lib.fadeIn('#box', { duration: 0.05 });
+    assert.strictEqual(handle.status, 'running');
+
+    const result = await handle;
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.handle, handle);
+});
+
+test('killing a handle resolves it with killed', async () => {
+    document.body.innerHTML = '<div id="box"></div>';
+    const lib = new GSAPAnimationLibrary();
+
+    const handle = lib.fadeIn('#box', { duration: 10 });
+    lib.killAnimation(handle);
+
+    const { status } = await handle;
+    assert.strictEqual(status, 'killed');
+    assert.strictEqual(lib.getAnimations().length, 0);
+});
+
+test('killAll() leaves tweens made outside the library running', () => {
+    document.body.innerHTML = '<div id="box"></div><div id="other"></div>';
+    const lib = new GSAPAnimationLibrary();
+
+    lib.slideUp('#box', { duration: 10 });
+    lib.createTimeline('intro').to('#box', { x: 10, duration: 10 });
+    const other = gsap.to('#other', { x: 100, duration: 10 });
+
+    lib.killAll();
+    assert.strictEqual(lib.getAnimations().length, 0);
+    assert.deepStrictEqual(gsap.getTweensOf('#box'), []);
+    assert.deepStrictEqual(gsap.getTweensOf('#other'), [other]);
+    other.kill();
+});
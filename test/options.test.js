@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { GSAPAnimationLibrary } = require('./support/dom');
+
+test('attribute values parse to booleans and numbers where possible', () => {
+    const parse = GSAPAnimationLibrary.parseOptionValue;
+    assert.strictEqual(parse(''), true);
+    assert.strictEqual(parse('false'), false);
+    assert.strictEqual(parse('0.5'), 0.5);
+    assert.strictEqual(parse(' '), ' ');
+    assert.strictEqual(parse('top 80%'), 'top 80%');
+});
+
+test('scroll options split away from preset options', () => {
+    const { presetOptions, triggerOptions } = GSAPAnimationLibrary.splitScrollOptions({
+        duration: 1, start: 'top center', once: true, side: 'left'
+    });
+    assert.deepStrictEqual(presetOptions, { duration: 1, side: 'left' });
+    assert.deepStrictEqual(triggerOptions, { start: 'top center', once: true });
+});
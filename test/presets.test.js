@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { GSAPAnimationLibrary } = require('./support/dom');
+
+test('shake and pulse take duration, ease and delay tokens', () => {
+    document.body.innerHTML = '<input id="field"><button id="cta"></button>';
+    const lib = new GSAPAnimationLibrary();
+
+    const shake = lib.shake('#field', { duration: 'slow', delay: 1, ease: 'exit' }).animation;
+    assert.strictEqual(shake.duration(), 1.2);
+    assert.strictEqual(shake.delay(), 1);
+    assert.strictEqual(shake.getChildren()[0].vars.ease, 'power2.in');
+
+    const pulse = lib.pulse('#cta', { duration: 'fast', repeat: 0 }).animation;
+    assert.strictEqual(pulse.totalDuration(), 0.3);
+});
+
+test('countUp and the loop presets follow the instance ease', () => {
+    document.body.innerHTML = '<span id="total">100</span><button id="cta"></button>';
+    const lib = new GSAPAnimationLibrary({ defaults: { ease: 'none' } });
+
+    const count = lib.countUp('#total').animation;
+    assert.strictEqual(count.getChildren()[0].vars.ease, 'none');
+
+    const pulse = lib.pulse('#cta').animation;
+    assert.strictEqual(pulse.getChildren()[0].vars.ease, 'none');
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { GSAPAnimationLibrary } = require('./support/dom');
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+const React = require('react');
+const { render, cleanup } = require('@testing-library/react');
+const { GSAPAnimationProvider, Animate } = require('../react.js');
+
+const { createElement, StrictMode } = React;
+
+/**
+ * Render <Animate> inside a provider with its own library instance
+ * @param {GSAPAnimationLibrary} library - Instance the component uses
+ * @param {boolean} strict - Whether to wrap it in StrictMode
+ * @returns {Object} - React Testing Library render result
+ */
+function renderAnimate(library, strict) {
+    const tree = createElement(GSAPAnimationProvider, { library },
+        createElement(Animate, { preset: 'slideUp', options: { duration: 1 }, 'data-testid': 'box' }, 'Hello'));
+    return render(strict ? createElement(StrictMode, null, tree) : tree);
+}
+
+test('<Animate> plays on mount and cleans up on unmount', () => {
+    const library = new GSAPAnimationLibrary();
+    const { getByTestId, unmount } = renderAnimate(library, false);
+    const box = getByTestId('box');
+
+    assert.strictEqual(library.getAnimations(box).length, 1);
+    assert.notStrictEqual(box.style.transform, '');
+
+    unmount();
+    assert.strictEqual(library.getAnimations().length, 0);
+    assert.strictEqual(box.getAttribute('style'), null);
+    cleanup();
+});
+
+test('StrictMode\'s second effect run starts from a clean element', t => {
+    const library = new GSAPAnimationLibrary();
+    const play = t.mock.method(library, 'play');
+    const { getByTestId, unmount } = renderAnimate(library, true);
+    const box = getByTestId('box');
+
+    // Effects ran twice; the first run was reverted, so only the second is left
+    assert.strictEqual(play.mock.callCount(), 2);
+    assert.strictEqual(library.getAnimations().length, 1);
+    assert.strictEqual(library.getAnimations(box)[0].animation.progress(), 0);
+    assert.strictEqual(String(box.style.opacity), '0');
+
+    unmount();
+    assert.strictEqual(library.getAnimations().length, 0);
+    assert.strictEqual(box.getAttribute('style'), null);
+    cleanup();
+});
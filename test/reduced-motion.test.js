@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary, setReducedMotion } = require('./support/dom');
+
+test('play(), sequence() and show() share one reduced-motion policy', () => {
+    document.body.innerHTML = '<div id="a"></div><div id="b"></div><div id="c" hidden></div>';
+    const lib = new GSAPAnimationLibrary({ reducedMotion: true });
+    lib.registerPreset('nudge', { to: { x: 100 }, reducedMotion: 'instant' });
+
+    // 'instant' jumps to the end state without waiting for the delay
+    const played = lib.play('nudge', '#a', { delay: 1, duration: 1 }).animation;
+    const segment = lib.sequence('s', [{ preset: 'nudge', target: '#b', delay: 1, duration: 1 }]).getChildren()[0];
+    const shown = lib.show('#c', 'nudge', { delay: 1, duration: 1 }).animation;
+    [played, segment, shown].forEach(animation => {
+        assert.strictEqual(animation.duration(), 0);
+        assert.strictEqual(animation.delay(), 0);
+    });
+
+    // 'fade' keeps only opacity
+    const fade = lib.show('#c', 'slideUp', { duration: 0.5 }).animation;
+    assert.deepStrictEqual(Object.keys(fade.vars).filter(key => key === 'y' || key === 'opacity'), ['opacity']);
+});
+
+test('skipped presets are skipped by show() too', () => {
+    document.body.innerHTML = '<div id="card" hidden></div>';
+    const card = document.getElementById('card');
+    const lib = new GSAPAnimationLibrary({ reducedMotion: true });
+
+    const handle = lib.show(card, 'flip');
+    handle.animation.progress(1);
+    assert.strictEqual(gsap.getProperty(card, 'rotationY'), 0);
+    assert.strictEqual(card.hidden, false);
+});
+
+test('turning reduced motion on holds running loops, and turning it off resumes them', () => {
+    document.body.innerHTML = '<div id="spinner"></div>';
+    setReducedMotion(false);
+    const lib = new GSAPAnimationLibrary();
+
+    const loop = lib.createTimeline('spin', { repeat: -1 }).to('#spinner', { rotation: 360, duration: 1 });
+    const once = lib.fadeIn('#spinner', { duration: 10 }).animation;
+    assert.strictEqual(loop.paused(), false);
+
+    setReducedMotion(true);
+    assert.strictEqual(lib.isReducedMotion(), true);
+    assert.strictEqual(loop.paused(), true);
+    assert.strictEqual(once.paused(), false);
+
+    setReducedMotion(false);
+    assert.strictEqual(loop.paused(), false);
+    lib.destroy();
+});
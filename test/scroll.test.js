@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { GSAPAnimationLibrary } = require('./support/dom');
+
+test('a scroll preset pair keeps the caller\'s ScrollTrigger callbacks', () => {
+    document.body.innerHTML = '<section id="hero"></section>';
+    const lib = new GSAPAnimationLibrary();
+    const calls = [];
+    let trigger = null;
+
+    trigger = lib.scrollTrigger('#hero', { enter: 'fadeIn' }, {
+        onEnter: self => calls.push(['enter', self === trigger]),
+        onLeaveBack: self => calls.push(['leaveBack', self === trigger])
+    });
+    // jsdom lays nothing out, so the trigger may already have entered
+    calls.length = 0;
+
+    trigger.vars.onEnter(trigger);
+    trigger.vars.onLeaveBack(trigger);
+    assert.deepStrictEqual(calls, [['enter', true], ['leaveBack', true]]);
+    assert.strictEqual(lib.getAnimations('#hero').length, 2);
+    lib.destroy();
+});
+
+test('scrollTrigger() rejects animations it can\'t play', () => {
+    document.body.innerHTML = '<section id="hero"></section>';
+    const lib = new GSAPAnimationLibrary();
+
+    [undefined, null, 42, {}].forEach(animation => {
+        assert.throws(() => lib.scrollTrigger('#hero', animation), TypeError);
+    });
+});
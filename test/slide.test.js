@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('slideDown is slide() from the top and hides back out the top', () => {
+    document.body.innerHTML = '<div id="menu"></div>';
+    const menu = document.getElementById('menu');
+    const lib = new GSAPAnimationLibrary();
+
+    const shown = lib.slideDown(menu);
+    shown.animation.progress(0);
+    assert.ok(gsap.getProperty(menu, 'y') < 0);
+    assert.strictEqual(gsap.getProperty(menu, 'x'), 0);
+    shown.animation.progress(1);
+
+    const hidden = lib.toggle(menu, 'slideDown');
+    hidden.animation.progress(1);
+    assert.ok(gsap.getProperty(menu, 'y') < 0);
+    assert.strictEqual(gsap.getProperty(menu, 'opacity'), 0);
+});
+
+test('slide() and slideOut() take the side as an option', () => {
+    document.body.innerHTML = '<div id="card"></div>';
+    const card = document.getElementById('card');
+    const lib = new GSAPAnimationLibrary();
+
+    lib.slide(card, { side: 'left', distance: 40 }).animation.progress(0);
+    assert.strictEqual(gsap.getProperty(card, 'x'), -40);
+
+    lib.slideOut(card, { side: 'right', distance: 40 }).animation.progress(1);
+    assert.strictEqual(gsap.getProperty(card, 'x'), 40);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('a multi-step preset\'s own options go to each element', () => {
+    document.body.innerHTML = '<p class="dot"></p><p class="dot"></p>';
+    const lib = new GSAPAnimationLibrary();
+
+    const single = lib.pulse(document.querySelector('.dot'), { repeat: 0 });
+    const group = lib.stagger('pulse', '.dot', { repeat: 0, stagger: 0.1 });
+
+    assert.strictEqual(single.animation.totalDuration(), 0.6);
+    assert.strictEqual(Math.round(group.animation.totalDuration() * 10) / 10, 0.7);
+});
+
+test('essential staggered presets keep their motion under reduced motion', () => {
+    document.body.innerHTML = '<h2 class="title">one two</h2><h2 class="title">three four</h2>';
+    const lib = new GSAPAnimationLibrary({ reducedMotion: true });
+
+    const handle = lib.stagger('splitReveal', '.title', { essential: true });
+    handle.animation.progress(0);
+
+    const piece = document.querySelector('.title').firstElementChild;
+    assert.ok(gsap.getProperty(piece, 'y') > 0);
+});
@@ -0,0 +1,59 @@
+/**
+ * Shared jsdom environment for the tests: a document, a controllable
+ * prefers-reduced-motion query, and GSAP exposed as the global the library expects
+ */
+const { after } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+const motionListeners = new Set();
+let reduceMotion = false;
+
+dom.window.matchMedia = query => ({
+    media: query,
+    get matches() {
+        return query.includes('reduced-motion') && reduceMotion;
+    },
+    addEventListener: (type, listener) => motionListeners.add(listener),
+    removeEventListener: (type, listener) => motionListeners.delete(listener),
+    addListener: listener => motionListeners.add(listener),
+    removeListener: listener => motionListeners.delete(listener)
+});
+
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+['HTMLElement', 'Element', 'Node', 'NodeList', 'HTMLCollection', 'MutationObserver', 'CustomEvent', 'Event', 'customElements']
+    .forEach(name => {
+        global[name] = dom.window[name];
+    });
+['getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'].forEach(name => {
+    global[name] = dom.window[name].bind(dom.window);
+});
+
+const { gsap } = require('gsap');
+const { ScrollTrigger } = require('gsap/ScrollTrigger');
+global.gsap = gsap;
+global.ScrollTrigger = ScrollTrigger;
+gsap.registerPlugin(ScrollTrigger);
+const GSAPAnimationLibrary = require('../../gsap-animation-library.js');
+
+/**
+ * Switch the emulated prefers-reduced-motion setting and notify listeners
+ * @param {boolean} enabled - Whether the user prefers reduced motion
+ */
+function setReducedMotion(enabled) {
+    reduceMotion = enabled;
+    motionListeners.forEach(listener => listener({ matches: enabled }));
+}
+
+// Paused timelines and ScrollTriggers keep GSAP's ticker, and so the test process, running
+after(() => {
+    ScrollTrigger.killAll();
+    ScrollTrigger.disable();
+    gsap.globalTimeline.clear();
+    gsap.ticker.sleep();
+    dom.window.close();
+});
+
+module.exports = { dom, gsap, ScrollTrigger, GSAPAnimationLibrary, setReducedMotion };
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('autoInit() takes a selector for its root', () => {
+    document.body.innerHTML = '<main id="main"><p data-gsap="fadeIn"></p></main><p data-gsap="fadeIn"></p>';
+    const lib = new GSAPAnimationLibrary();
+
+    const auto = lib.autoInit('#main', { observe: false });
+    assert.strictEqual(lib.getAnimations().length, 1);
+    auto.destroy();
+
+    assert.throws(() => lib.autoInit('#missing'), /#missing/);
+});
+
+test('element helpers resolve selectors inside a scope', () => {
+    document.body.innerHTML = '<section id="pricing"><div class="card"></div></section><div class="card"></div>';
+    const [inside, outside] = document.querySelectorAll('.card');
+    const lib = new GSAPAnimationLibrary();
+
+    lib.set('.card', { x: 10, scope: '#pricing' });
+    assert.strictEqual(gsap.getProperty(inside, 'x'), 10);
+    assert.strictEqual(gsap.getProperty(outside, 'x'), 0);
+
+    lib.fadeIn('.card', { duration: 1 });
+    assert.strictEqual(lib.getAnimations('.card', { scope: '#pricing' }).length, 1);
+    lib.killAnimationsOf('.card', { scope: '#pricing' });
+    assert.strictEqual(lib.getAnimations(outside).length, 1);
+
+    lib.resetElement('.card', { scope: '#pricing' });
+    assert.strictEqual(gsap.getProperty(inside, 'x'), 0);
+});
+
+test('the missing-target warning names the selector', t => {
+    document.body.innerHTML = '';
+    const warn = t.mock.method(console, 'warn', () => {});
+    const lib = new GSAPAnimationLibrary();
+
+    lib.fadeIn('.nothing-here');
+    assert.ok(warn.mock.calls.some(call => String(call.arguments[0]).includes('.nothing-here')));
+});
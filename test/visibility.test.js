@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gsap, GSAPAnimationLibrary } = require('./support/dom');
+
+test('showing again in the middle of a hide ends shown', () => {
+    document.body.innerHTML = '<div id="menu" style="display: none;"></div>';
+    const menu = document.getElementById('menu');
+    const lib = new GSAPAnimationLibrary();
+
+    const firstShow = lib.show(menu, 'fadeIn', { duration: 1 });
+    firstShow.animation.progress(0.5);
+
+    const hide = lib.hide(menu, 'fadeOut', { duration: 1 });
+    hide.animation.progress(0.5);
+    assert.strictEqual(menu.getAttribute('aria-hidden'), 'true');
+
+    const secondShow = lib.show(menu, 'fadeIn', { duration: 1 });
+    // The interrupted hide can no longer finish and set display: none
+    hide.animation.progress(1);
+    secondShow.animation.progress(1);
+
+    assert.notStrictEqual(menu.style.display, 'none');
+    assert.strictEqual(gsap.getProperty(menu, 'opacity'), 1);
+    assert.strictEqual(menu.getAttribute('aria-hidden'), null);
+    assert.strictEqual(menu.hasAttribute('inert'), false);
+});
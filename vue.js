@@ -0,0 +1,171 @@
+/**
+ * GSAP Animation Library - Vue 3 plugin
+ * v-animate directive, useAnimation() composable and <Transition> hooks
+ * built on the library's presets, with cleanup on unmount
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // CommonJS
+        module.exports = factory(require('vue'), require('./gsap-animation-library'));
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(['vue', './gsap-animation-library'], factory);
+    } else {
+        // Browser global
+        root.GSAPAnimationVue = factory(root.Vue, root.GSAPAnimationLibrary);
+    }
+})(typeof window !== 'undefined' ? window : this, function (Vue, GSAPAnimationLibrary) {
+    const { getCurrentInstance, inject, onBeforeUnmount } = Vue;
+
+    const LIBRARY_KEY = Symbol('GSAPAnimationLibrary');
+    const TRIGGERS = ['scroll', 'hover', 'click'];
+    let sharedLibrary = null;
+
+    /**
+     * Get the shared default library instance
+     * @returns {GSAPAnimationLibrary}
+     */
+    function getSharedLibrary() {
+        if (!sharedLibrary) sharedLibrary = new GSAPAnimationLibrary();
+        return sharedLibrary;
+    }
+
+    /**
+     * Create the v-animate directive for a library instance.
+     * Usage: v-animate:slideUp.scroll.once="{ duration: 0.5 }"
+     * @param {GSAPAnimationLibrary} lib - Library instance
+     * @returns {Object} - Vue directive
+     */
+    function createAnimateDirective(lib) {
+        const bindings = new WeakMap();
+
+        const bind = (el, binding) => {
+            const preset = binding.arg || 'fadeIn';
+            const trigger = TRIGGERS.find(name => binding.modifiers[name]) || 'load';
+            const { presetOptions: options, triggerOptions } = GSAPAnimationLibrary.splitScrollOptions({ ...binding.value });
+            triggerOptions.once = Boolean(binding.modifiers.once);
+
+            const ctx = lib.context(el);
+            const unbind = lib.bindTrigger(el, trigger, () => ctx.add(() => lib.play(preset, el, options)), triggerOptions);
+
+            bindings.set(el, {
+                preset,
+                cleanup: () => {
+                    unbind();
+                    ctx.revert();
+                }
+            });
+        };
+
+        const unbind = el => {
+            const state = bindings.get(el);
+            if (!state) return;
+            state.cleanup();
+            bindings.delete(el);
+        };
+
+        return {
+            mounted: bind,
+            updated(el, binding) {
+                // Only a new preset rebinds; option objects are recreated on every render
+                const state = bindings.get(el);
+                if (state && state.preset === (binding.arg || 'fadeIn')) return;
+                unbind(el);
+                bind(el, binding);
+            },
+            beforeUnmount: unbind
+        };
+    }
+
+    /**
+     * Create <Transition> hooks that animate enter and leave with presets
+     * @param {GSAPAnimationLibrary} lib - Library instance
+     * @param {string} enterPreset - Preset for enter
+     * @param {string} [leavePreset] - Preset for leave (defaults to the enter preset's inverse, then fadeOut)
+     * @param {Object} options - Preset options for both directions
+     * @returns {Object} - Props for <Transition v-bind="...">
+     */
+    function createTransitionHooks(lib, enterPreset = 'fadeIn', leavePreset, options = {}) {
+        const preset = lib.getPreset(enterPreset);
+        const leave = leavePreset || (preset && preset.inverse) || 'fadeOut';
+        const running = new WeakMap();
+
+        const run = (name, el, done) => {
+            const handle = lib.play(name, el, options);
+            running.set(el, handle);
+            handle.then(({ status }) => {
+                if (running.get(el) === handle) running.delete(el);
+                if (status !== 'killed') done();
+            });
+        };
+
+        const cancel = el => {
+            const handle = running.get(el);
+            if (handle) handle.kill();
+        };
+
+        return {
+            css: false,
+            onEnter: (el, done) => run(enterPreset, el, done),
+            onLeave: (el, done) => run(leave, el, done),
+            onEnterCancelled: cancel,
+            onLeaveCancelled: cancel
+        };
+    }
+
+    /**
+     * Composable that records every call in a context reverted when the component unmounts
+     * @param {Object} [root] - Element or template ref used to scope selector strings
+     * @returns {Object} - { lib, context, play, stagger, animate, set, transition }
+     */
+    function useAnimation(root) {
+        const lib = (getCurrentInstance() && inject(LIBRARY_KEY, null)) || getSharedLibrary();
+        const context = lib.context(null);
+
+        // Template refs are only filled in after mount, so resolve the root lazily
+        const record = fn => {
+            const element = root && 'value' in root ? root.value : root;
+            if (element) context.root = element;
+            return context.add(fn);
+        };
+
+        if (getCurrentInstance()) {
+            onBeforeUnmount(() => context.revert());
+        }
+
+        return {
+            lib,
+            context,
+            play: (preset, target, options) => record(() => lib.play(preset, target, options)),
+            stagger: (preset, targets, options) => record(() => lib.stagger(preset, targets, options)),
+            animate: (target, properties, options) => record(() => lib.animate(target, properties, options)),
+            set: (target, properties) => record(() => lib.set(target, properties)),
+            transition: (enterPreset, leavePreset, options) => createTransitionHooks(lib, enterPreset, leavePreset, options)
+        };
+    }
+
+    /**
+     * Vue plugin: app.use(GSAPAnimationVue, { library, options })
+     */
+    const GSAPAnimationVue = {
+        install(app, pluginOptions = {}) {
+            const lib = pluginOptions.library || new GSAPAnimationLibrary(pluginOptions.options);
+            app.provide(LIBRARY_KEY, lib);
+            app.directive('animate', createAnimateDirective(lib));
+            app.config.globalProperties.$gsapLib = lib;
+        }
+    };
+
+    // The plugin object doubles as the module, so both default and named imports work
+    return Object.assign(GSAPAnimationVue, {
+        GSAPAnimationVue,
+        LIBRARY_KEY,
+        useAnimation,
+        createAnimateDirective,
+        createTransitionHooks
+    });
+});